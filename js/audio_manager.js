@@ -7,6 +7,9 @@ class AudioManager {
     this.audioContext = null;
     this.backgroundMusic = null;
     this.isBackgroundMusicPlaying = false;
+    this.musicTimer = null;      // 下一个背景音乐循环的定时器
+    this.musicLoopEndTime = 0;   // 当前循环在音频时钟上的结束时间（秒）
+    this.suspended = false;      // 游戏暂停或切到后台时挂起
     this.volume = 0.5;
     this.soundEnabled = true;
     
@@ -99,11 +102,21 @@ class AudioManager {
   }
   
   /**
-   * 播放跳跃音效
+   * 播放跳跃音效，不同角色皮肤使用不同音色
+   * @param {string} style 音色：hop（默认）、chime、boing、yip
    */
-  playJumpSound() {
+  playJumpSound(style = 'hop') {
     if (!this.soundEnabled || !this.audioContext) return;
     
+    // 每种音色：[波形, 起始频率, 结束频率, 时长]
+    const styles = {
+      hop: ['square', 300, 600, 0.1],
+      chime: ['triangle', 880, 1760, 0.15],
+      boing: ['sine', 180, 720, 0.2],
+      yip: ['sawtooth', 700, 1100, 0.06]
+    };
+    const [type, from, to, duration] = styles[style] || styles.hop;
+    
     try {
       const oscillator = this.audioContext.createOscillator();
       const gainNode = this.audioContext.createGain();
@@ -112,16 +125,16 @@ class AudioManager {
       gainNode.connect(this.audioContext.destination);
       
       // 设置跳跃音效参数
-      oscillator.type = 'square';
-      oscillator.frequency.setValueAtTime(300, this.audioContext.currentTime);
-      oscillator.frequency.exponentialRampToValueAtTime(600, this.audioContext.currentTime + 0.1);
+      oscillator.type = type;
+      oscillator.frequency.setValueAtTime(from, this.audioContext.currentTime);
+      oscillator.frequency.exponentialRampToValueAtTime(to, this.audioContext.currentTime + duration);
       
       gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
       gainNode.gain.linearRampToValueAtTime(this.volume * 0.2, this.audioContext.currentTime + 0.01);
-      gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.1);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + duration);
       
       oscillator.start(this.audioContext.currentTime);
-      oscillator.stop(this.audioContext.currentTime + 0.1);
+      oscillator.stop(this.audioContext.currentTime + duration);
     } catch (e) {
       console.warn('Failed to play jump sound:', e);
     }
@@ -158,6 +171,180 @@ class AudioManager {
     }
   }
   
+  /**
+   * 播放弹簧弹射音效
+   */
+  playSpringSound() {
+    if (!this.soundEnabled || !this.audioContext) return;
+    
+    try {
+      const oscillator = this.audioContext.createOscillator();
+      const gainNode = this.audioContext.createGain();
+      const vibrato = this.audioContext.createOscillator();
+      const vibratoGain = this.audioContext.createGain();
+      
+      oscillator.connect(gainNode);
+      gainNode.connect(this.audioContext.destination);
+      
+      // 颤音让上扬的音调带有"嘣"的弹簧感
+      vibrato.connect(vibratoGain);
+      vibratoGain.connect(oscillator.frequency);
+      vibrato.frequency.setValueAtTime(30, this.audioContext.currentTime);
+      vibratoGain.gain.setValueAtTime(40, this.audioContext.currentTime);
+      
+      // 设置弹簧音效参数（快速上扬）
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(150, this.audioContext.currentTime);
+      oscillator.frequency.exponentialRampToValueAtTime(700, this.audioContext.currentTime + 0.3);
+      
+      gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+      gainNode.gain.linearRampToValueAtTime(this.volume * 0.35, this.audioContext.currentTime + 0.02);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.35);
+      
+      vibrato.start(this.audioContext.currentTime);
+      vibrato.stop(this.audioContext.currentTime + 0.35);
+      oscillator.start(this.audioContext.currentTime);
+      oscillator.stop(this.audioContext.currentTime + 0.35);
+    } catch (e) {
+      console.warn('Failed to play spring sound:', e);
+    }
+  }
+  
+  /**
+   * 播放奖励平台音效：音乐盒是一段上行琶音，便利店是“叮咚”门铃，水井是落水的“咚”声
+   * @param {string} kind 奖励平台种类（BONUS_KIND）
+   */
+  playBonusSound(kind) {
+    if (!this.soundEnabled || !this.audioContext) return;
+    
+    // 每个音符：[频率, 开始时间, 时长]
+    const melodies = {
+      music_box: [[1047, 0, 0.3], [1319, 0.12, 0.3], [1568, 0.24, 0.3], [2093, 0.36, 0.5]],
+      store: [[988, 0, 0.4], [784, 0.25, 0.6]],
+      well: [[392, 0, 0.25], [262, 0.12, 0.5]]
+    };
+    
+    try {
+      const now = this.audioContext.currentTime;
+      (melodies[kind] || melodies.store).forEach(([frequency, start, duration]) => {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        oscillator.type = kind === 'well' ? 'sine' : 'triangle';
+        oscillator.frequency.setValueAtTime(frequency, now + start);
+        
+        gainNode.gain.setValueAtTime(0, now + start);
+        gainNode.gain.linearRampToValueAtTime(this.volume * 0.35, now + start + 0.01);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + start + duration);
+        
+        oscillator.start(now + start);
+        oscillator.stop(now + start + duration);
+      });
+    } catch (e) {
+      console.warn('Failed to play bonus sound:', e);
+    }
+  }
+  
+  /**
+   * 播放道具音效：拾取时各道具一段上行音型，失效时一声短促的下滑
+   * @param {string} kind 道具种类（POWER_UP）
+   * @param {boolean} ending 是否为道具失效
+   */
+  playPowerUpSound(kind, ending = false) {
+    if (!this.soundEnabled || !this.audioContext) return;
+    
+    // 每个音符：[频率, 开始时间, 时长]
+    const melodies = {
+      slow_motion: [[523, 0, 0.3], [392, 0.15, 0.45]],
+      magnet: [[440, 0, 0.12], [554, 0.08, 0.12], [659, 0.16, 0.25]],
+      shield: [[330, 0, 0.2], [494, 0.1, 0.2], [659, 0.2, 0.35]],
+      double_score: [[784, 0, 0.12], [1047, 0.1, 0.12], [1568, 0.2, 0.3]]
+    };
+    const notes = ending ? [[600, 0, 0.12], [400, 0.08, 0.2]] : (melodies[kind] || melodies.shield);
+    
+    try {
+      const now = this.audioContext.currentTime;
+      notes.forEach(([frequency, start, duration]) => {
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.audioContext.destination);
+        
+        oscillator.type = ending ? 'sine' : 'square';
+        oscillator.frequency.setValueAtTime(frequency, now + start);
+        
+        gainNode.gain.setValueAtTime(0, now + start);
+        gainNode.gain.linearRampToValueAtTime(this.volume * (ending ? 0.2 : 0.15), now + start + 0.01);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + start + duration);
+        
+        oscillator.start(now + start);
+        oscillator.stop(now + start + duration);
+      });
+    } catch (e) {
+      console.warn('Failed to play power-up sound:', e);
+    }
+  }
+  
+  /**
+   * 播放护盾破碎音效：锯齿波快速下滑，像玻璃碎裂
+   */
+  playShieldBreakSound() {
+    if (!this.soundEnabled || !this.audioContext) return;
+    
+    try {
+      const oscillator = this.audioContext.createOscillator();
+      const gainNode = this.audioContext.createGain();
+      
+      oscillator.connect(gainNode);
+      gainNode.connect(this.audioContext.destination);
+      
+      oscillator.type = 'sawtooth';
+      oscillator.frequency.setValueAtTime(1400, this.audioContext.currentTime);
+      oscillator.frequency.exponentialRampToValueAtTime(200, this.audioContext.currentTime + 0.3);
+      
+      gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+      gainNode.gain.linearRampToValueAtTime(this.volume * 0.25, this.audioContext.currentTime + 0.01);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.35);
+      
+      oscillator.start(this.audioContext.currentTime);
+      oscillator.stop(this.audioContext.currentTime + 0.35);
+    } catch (e) {
+      console.warn('Failed to play shield break sound:', e);
+    }
+  }
+  
+  /**
+   * 播放拾取橡果音效：短促上扬的“啵”
+   */
+  playAcornSound() {
+    if (!this.soundEnabled || !this.audioContext) return;
+    
+    try {
+      const oscillator = this.audioContext.createOscillator();
+      const gainNode = this.audioContext.createGain();
+      
+      oscillator.connect(gainNode);
+      gainNode.connect(this.audioContext.destination);
+      
+      oscillator.type = 'triangle';
+      oscillator.frequency.setValueAtTime(900, this.audioContext.currentTime);
+      oscillator.frequency.exponentialRampToValueAtTime(1800, this.audioContext.currentTime + 0.08);
+      
+      gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
+      gainNode.gain.linearRampToValueAtTime(this.volume * 0.3, this.audioContext.currentTime + 0.01);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.15);
+      
+      oscillator.start(this.audioContext.currentTime);
+      oscillator.stop(this.audioContext.currentTime + 0.15);
+    } catch (e) {
+      console.warn('Failed to play acorn sound:', e);
+    }
+  }
+  
   /**
    * 播放游戏结束音效
    */
@@ -204,6 +391,8 @@ class AudioManager {
    */
   stopBackgroundMusic() {
     this.isBackgroundMusicPlaying = false;
+    clearTimeout(this.musicTimer);
+    this.musicTimer = null;
     if (this.backgroundMusic) {
       this.backgroundMusic.stop();
       this.backgroundMusic = null;
@@ -291,17 +480,64 @@ class AudioManager {
       });
       
       // 3.2秒后播放下一个循环
-      setTimeout(() => {
-        if (this.isBackgroundMusicPlaying) {
-          this.playBackgroundMusicLoop();
-        }
-      }, 3200);
+      this.musicLoopEndTime = currentTime + 3.2;
+      this.scheduleNextMusicLoop(3200);
       
     } catch (e) {
       console.warn('Failed to play background music:', e);
     }
   }
 
+  /**
+   * 定时播放下一个背景音乐循环
+   */
+  scheduleNextMusicLoop(delay) {
+    clearTimeout(this.musicTimer);
+    this.musicTimer = setTimeout(() => {
+      this.musicTimer = null;
+      if (this.isBackgroundMusicPlaying && !this.suspended) {
+        this.playBackgroundMusicLoop();
+      }
+    }, delay);
+  }
+  
+  /**
+   * 挂起音频（游戏暂停、切到后台）
+   * 停止调度背景音乐并暂停音频上下文，已排好的音符随音频时钟一起冻结
+   */
+  suspend() {
+    if (this.suspended) return;
+    this.suspended = true;
+    clearTimeout(this.musicTimer);
+    this.musicTimer = null;
+    
+    if (this.audioContext && this.audioContext.state === 'running') {
+      this.audioContext.suspend().catch(e => {
+        console.warn('Failed to suspend audio context:', e);
+      });
+    }
+  }
+  
+  /**
+   * 恢复挂起的音频，背景音乐从冻结处继续
+   */
+  async resume() {
+    if (!this.suspended) return;
+    this.suspended = false;
+    
+    if (this.soundEnabled && this.audioContext && this.audioContext.state === 'suspended') {
+      try {
+        await this.audioContext.resume();
+      } catch (e) {
+        console.warn('Failed to resume audio context:', e);
+      }
+    }
+    
+    if (this.isBackgroundMusicPlaying && this.audioContext) {
+      const remaining = Math.max(0, this.musicLoopEndTime - this.audioContext.currentTime);
+      this.scheduleNextMusicLoop(remaining * 1000);
+    }
+  }
   
   /**
    * 设置音量
@@ -333,8 +569,8 @@ class AudioManager {
         }
       }
     } else {
-      // 启用音频时恢复音频上下文
-      if (this.audioContext && this.audioContext.state === 'suspended') {
+      // 启用音频时恢复音频上下文（挂起期间等恢复时再继续）
+      if (!this.suspended && this.audioContext && this.audioContext.state === 'suspended') {
         this.audioContext.resume().catch(e => {
           console.warn('Failed to resume audio context:', e);
         });
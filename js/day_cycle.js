@@ -0,0 +1,159 @@
+/**
+ * 昼夜循环
+ * 一局中的光照随模拟时间经历黎明、白天、黄昏和夜晚：叠加在主题天空上的色调、照在整个世界上的环境色、
+ * 太阳和月亮在天空中的位置、夜景（星星、月光、萤火虫）的强度，以及平台背光面的阴影。
+ * 光照写成一天中的关键帧，相邻关键帧之间平滑过渡；按模拟时间计算，回放时与原局完全一致
+ */
+
+// 一天中的时段
+const DAY_PHASE = {
+  DAWN: 'dawn',
+  DAY: 'day',
+  SUNSET: 'sunset',
+  NIGHT: 'night'
+};
+
+const DAY_CYCLE_LENGTH = 150000;  // 一整天的模拟时间（毫秒）
+const SUNSET_AT = 0.6;            // 太阳在一天中 0 到此进度之间挂在天上，之后换成月亮
+const NOON_AT = 0.3;              // 不参与昼夜循环的主题固定在正午
+
+/**
+ * 光照关键帧，at 为一天中的进度（0-1），最后一帧与第一帧相同，首尾相接
+ *   skyTop / skyBottom   叠加在主题天空上下两端的色调 [r, g, b, a]
+ *   ambient              叠加在整个世界画面上的环境色 [r, g, b, a]
+ *   sunGlow              太阳偏暖的程度（0-1），日出日落时太阳发红
+ *   night                夜景强度（0-1）：星星、月光和萤火虫的透明度
+ *   shade                平台背光面阴影的最大浓度
+ */
+const DAY_CYCLE = [
+  {
+    at: 0,
+    phase: DAY_PHASE.DAWN,
+    skyTop: [255, 170, 130, 0.45],
+    skyBottom: [255, 205, 160, 0.3],
+    ambient: [255, 150, 100, 0.12],
+    sunGlow: 0.8,
+    night: 0.3,
+    shade: 0.3
+  },
+  {
+    at: 0.1,
+    phase: DAY_PHASE.DAY,
+    skyTop: [255, 255, 255, 0],
+    skyBottom: [255, 255, 255, 0],
+    ambient: [255, 255, 255, 0],
+    sunGlow: 0,
+    night: 0,
+    shade: 0.2
+  },
+  {
+    at: 0.45,
+    phase: DAY_PHASE.DAY,
+    skyTop: [255, 255, 255, 0],
+    skyBottom: [255, 255, 255, 0],
+    ambient: [255, 255, 255, 0],
+    sunGlow: 0,
+    night: 0,
+    shade: 0.2
+  },
+  {
+    at: 0.56,
+    phase: DAY_PHASE.SUNSET,
+    skyTop: [240, 110, 90, 0.5],
+    skyBottom: [255, 165, 90, 0.4],
+    ambient: [255, 120, 60, 0.15],
+    sunGlow: 1,
+    night: 0.1,
+    shade: 0.35
+  },
+  {
+    at: 0.66,
+    phase: DAY_PHASE.NIGHT,
+    skyTop: [10, 16, 50, 0.85],
+    skyBottom: [30, 40, 90, 0.7],
+    ambient: [20, 30, 80, 0.35],
+    sunGlow: 0,
+    night: 1,
+    shade: 0.45
+  },
+  {
+    at: 0.9,
+    phase: DAY_PHASE.NIGHT,
+    skyTop: [10, 16, 50, 0.85],
+    skyBottom: [30, 40, 90, 0.7],
+    ambient: [20, 30, 80, 0.35],
+    sunGlow: 0,
+    night: 1,
+    shade: 0.45
+  },
+  {
+    at: 1,
+    phase: DAY_PHASE.DAWN,
+    skyTop: [255, 170, 130, 0.45],
+    skyBottom: [255, 205, 160, 0.3],
+    ambient: [255, 150, 100, 0.12],
+    sunGlow: 0.8,
+    night: 0.3,
+    shade: 0.3
+  }
+];
+
+/**
+ * 两个颜色之间插值，rgb 取整，透明度保留小数
+ */
+function mixColor(from, to, t) {
+  return from.map((value, i) => {
+    const mixed = value + (to[i] - value) * t;
+    return i < 3 ? Math.round(mixed) : mixed;
+  });
+}
+
+/**
+ * 某一时刻的光照
+ * @param {number|null} time 本局的模拟时间（毫秒），为 null 时返回正午的光照
+ * @returns {Object} { phase, skyTop, skyBottom, ambient, sunGlow, night,
+ *                     sun: 太阳在天空弧线上的进度（0-1，落山后为 null），moon: 月亮的进度，
+ *                     light: { x: 光从哪一侧照来（-1 左侧，1 右侧），strength: 背光面阴影浓度 } }
+ */
+function getDaylight(time) {
+  const progress = time === null ? NOON_AT : (time % DAY_CYCLE_LENGTH) / DAY_CYCLE_LENGTH;
+
+  let index = 0;
+  while (index < DAY_CYCLE.length - 2 && progress > DAY_CYCLE[index + 1].at) {
+    index++;
+  }
+  const from = DAY_CYCLE[index];
+  const to = DAY_CYCLE[index + 1];
+  const linear = Math.max(0, Math.min(1, (progress - from.at) / (to.at - from.at)));
+  const t = linear * linear * (3 - 2 * linear);
+  const mix = key => from[key] + (to[key] - from[key]) * t;
+
+  // 白天是太阳、夜里是月亮从左侧升起向右侧落下；光源斜照时侧面阴影最浓，
+  // 正当头或贴着地平线时阴影消失，光照方向换边和日月换班都不会突变
+  const sun = progress < SUNSET_AT ? progress / SUNSET_AT : null;
+  const moon = sun === null ? (progress - SUNSET_AT) / (1 - SUNSET_AT) : null;
+  const arc = sun === null ? moon : sun;
+
+  return {
+    phase: t < 0.5 ? from.phase : to.phase,
+    skyTop: mixColor(from.skyTop, to.skyTop, t),
+    skyBottom: mixColor(from.skyBottom, to.skyBottom, t),
+    ambient: mixColor(from.ambient, to.ambient, t),
+    sunGlow: mix('sunGlow'),
+    night: mix('night'),
+    sun,
+    moon,
+    light: {
+      x: arc * 2 - 1,
+      strength: mix('shade') * Math.abs(Math.sin(Math.PI * 2 * arc))
+    }
+  };
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DAY_PHASE, getDaylight };
+} else {
+  window.DAY_PHASE = DAY_PHASE;
+  window.getDaylight = getDaylight;
+}
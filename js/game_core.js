@@ -0,0 +1,1583 @@
+/**
+ * 跳一跳游戏核心
+ * 只包含模拟逻辑（玩家、平台、着陆判定、计分、状态机），不依赖 Canvas、window 或 wx，
+ * 可以在 Node 中按固定步长驱动，用于自动化测试和无界面模拟；Canvas 渲染器只是它的一个使用者
+ */
+
+/* global SeededRandom */
+
+// 随机数模块在浏览器中由 <script> 标签以全局变量提供，CommonJS 环境（微信小游戏、Node）下在此加载
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(typeof GameGlobal !== 'undefined' ? GameGlobal : global, require('./seeded_random.js'));
+}
+
+// 游戏常量配置
+const CONFIG = {
+  // 物理参数
+  GRAVITY: 0.6,
+  JUMP_FORCE: 15,
+  MIN_POWER: 0.6,       // 起跳高度的最小力度，蓄力很短时也能跳上高一级的平台
+  MAX_POWER: 1.0,
+  CHARGE_SPEED: 0.8,    // 蓄力速度（每秒增加的力度），线性蓄力 1.25 秒蓄满
+  JUMP_RANGE: 3,        // 满蓄力时的水平跳跃距离（BASE_DISTANCE 的倍数）
+
+  // 平台参数
+  PLATFORM_WIDTH: 80,   // 标准平台宽度，各形状在此基础上缩放
+  PLATFORM_HEIGHT: 20,
+  MIN_PLATFORM_SCALE: 0.55,   // 平台随难度缩小的下限
+  PLATFORM_SHRINK_RATE: 0.006, // 每生成一个平台缩小的比例
+  MIN_EDGE_GAP: 20,     // 相邻平台边缘之间的最小空隙
+  PLATFORM_STEP_HEIGHT: 40,   // 相邻平台的最大高度差
+  PLATFORM_MAX_RISE: 180,     // 平台顶面最多高出地面的距离
+  SIDE_TOLERANCE: 4,    // 顶面以下多少像素开始算作撞到侧面
+  BASE_DISTANCE: 100,
+  DIFFICULTY_FACTOR: 1.5,
+  MAX_GAP_RATIO: 0.85,  // 平台间距不超过满蓄力距离的比例，保证关卡可达
+  
+  // 弹簧平台参数
+  SPRING_FORCE: 1.3,    // 弹射高度（JUMP_FORCE 的倍数）
+  SPRING_DELAY: 12,     // 落到弹簧上后压缩的步数，之后自动弹射
+  SPRING_SCORE: 3,      // 触发弹簧的得分
+  SPRING_LANDING_SCORE: 2,  // 弹射落地的得分（不计入连击）
+
+  // 奖励平台参数
+  BONUS_STAY_TIME: 2000,    // 落到奖励平台后静止多久（毫秒）才能拿到奖励
+
+  // 动态平台参数
+  DYNAMIC_PLATFORM_START: 10, // 从第几个平台开始出现移动、缩小、碎裂平台
+  MOVING_RANGE: 30,     // 移动平台偏离原位的最大距离
+  MOVING_PERIOD: 3000,  // 移动平台往返一次的时间（毫秒）
+  SHRINK_TIME: 2500,    // 缩小平台从落上去到缩到最小的时间（毫秒）
+  SHRINK_MIN_SCALE: 0.3,    // 缩小平台最终的宽度比例
+  CRUMBLE_DELAY: 1500,  // 碎裂平台落上去后多久塌落（毫秒）
+
+  // 橡果参数
+  ACORN_CHANCE: 0.35,   // 两个平台之间出现一串橡果的概率
+  ACORN_COUNT: 3,       // 每串橡果的个数，沿同一条跳跃弧线排列
+  ACORN_SPACING: 4,     // 相邻橡果在弧线上相隔的步数
+  ACORN_ARC_POSITION: 0.7,  // 一串橡果的中点在整条弧线上的位置（0 起跳，1 落地）
+  ACORN_RADIUS: 12,     // 玩家身体中心与橡果相距多近时拾取
+
+  // 道具参数
+  POWER_UP_START: 5,    // 从第几个平台开始出现道具
+  POWER_UP_CHANCE: 0.08,    // 普通平台上出现道具的概率
+  SLOW_CHARGE_SCALE: 0.5,   // 慢动作时蓄力速度的比例
+  MAGNET_RADIUS: 80,    // 磁铁生效时拾取橡果的距离
+  DOUBLE_SCORE_MULTIPLIER: 2,
+
+  // 玩家参数
+  PLAYER_SIZE: 90,
+  PLAYER_COLOR: '#FF6B6B',
+
+  // 游戏参数
+  GROUND_Y: 300,  // 横屏时调整地面高度
+  PERFECT_TOLERANCE: 5,
+
+  // 特效参数
+  PARTICLE_COUNT: 8,
+  PARTICLE_LIFE: 30,
+
+  // 时间步长参数：物理参数按每秒60步标定，与屏幕刷新率无关
+  FIXED_TIMESTEP: 1000 / 60,
+  MAX_FRAME_TIME: 250  // 单帧最多补算的时间，防止切回前台后卡死
+};
+
+// 轨迹预测最多模拟的步数（足够覆盖满力跳跃）
+const PREDICTION_MAX_STEPS = 300;
+
+// 游戏状态枚举
+const GAME_STATE = {
+  START: 'start',
+  CHARGING: 'charging',
+  JUMPING: 'jumping',
+  PAUSED: 'paused',
+  GAME_OVER: 'game_over'
+};
+
+// 平台类型
+const PLATFORM_TYPE = {
+  NORMAL: 'normal',
+  BONUS: 'bonus',
+  SPRING: 'spring',
+  MOVING: 'moving',       // 沿航段方向来回滑动
+  SHRINKING: 'shrinking', // 落上去后逐渐缩小
+  CRUMBLING: 'crumbling'  // 落上去片刻后塌落
+};
+
+// 平台形状
+const PLATFORM_SHAPE = {
+  ROUND: 'round',   // 圆形树桩
+  SQUARE: 'square', // 方形木箱
+  LOG: 'log'        // 长原木
+};
+
+// 奖励平台种类，落上去后静止一段时间再起跳可以拿到额外分数
+const BONUS_KIND = {
+  MUSIC_BOX: 'music_box', // 音乐盒
+  STORE: 'store',         // 便利店
+  WELL: 'well'            // 水井
+};
+
+// 道具：落到带道具的平台上拾取，在一段时间内生效
+const POWER_UP = {
+  SLOW_MOTION: 'slow_motion',   // 蓄力变慢，便于微调
+  MAGNET: 'magnet',             // 远距离吸取橡果
+  SHIELD: 'shield',             // 抵挡一次失误（撞侧面或掉落），回到起跳平台
+  DOUBLE_SCORE: 'double_score'  // 所有得分翻倍
+};
+
+// 关卡布局：直线用于侧视图，拐弯用于等距视图，两者共用同一套平台和计分
+const COURSE_LAYOUT = {
+  STRAIGHT: 'straight',
+  TURNING: 'turning'
+};
+
+// 蓄力曲线：蓄力时长到力度的映射
+const CHARGE_CURVE = {
+  LINEAR: 'linear',           // 匀速增长，蓄满后保持
+  EASED: 'eased',             // 两端慢中间快，短跳和远跳更好微调，蓄满时间相同
+  OSCILLATING: 'oscillating'  // 在 0 和满力之间往复，按住太久力度反而回落
+};
+
+// 地面平面上的前进方向
+const COURSE_AXIS = {
+  X: 'x',
+  Z: 'z'
+};
+
+// 各形状的宽度范围（PLATFORM_WIDTH 的倍数）和出现权重
+const PLATFORM_SHAPE_SPEC = {
+  [PLATFORM_SHAPE.ROUND]: { minScale: 0.8, maxScale: 1.0, weight: 0.4 },
+  [PLATFORM_SHAPE.SQUARE]: { minScale: 0.9, maxScale: 1.2, weight: 0.4 },
+  [PLATFORM_SHAPE.LOG]: { minScale: 1.5, maxScale: 2.0, weight: 0.2 }
+};
+
+// 各奖励平台的奖励分数和出现权重
+const BONUS_KIND_SPEC = {
+  [BONUS_KIND.MUSIC_BOX]: { points: 30, weight: 0.2 },
+  [BONUS_KIND.STORE]: { points: 15, weight: 0.4 },
+  [BONUS_KIND.WELL]: { points: 20, weight: 0.4 }
+};
+
+// 各道具的持续时间（模拟时钟毫秒）和出现权重
+const POWER_UP_SPEC = {
+  [POWER_UP.SLOW_MOTION]: { duration: 10000, weight: 0.25 },
+  [POWER_UP.MAGNET]: { duration: 12000, weight: 0.25 },
+  [POWER_UP.SHIELD]: { duration: 20000, weight: 0.25 },
+  [POWER_UP.DOUBLE_SCORE]: { duration: 10000, weight: 0.25 }
+};
+
+/**
+ * 平台类型注册表：每种类型在这里声明生成规则和行为，生成、着陆、更新和碰撞逻辑都从这里读取，
+ * 新增类型只需添加一项（渲染器中的外观见 jump_game.js 的 PLATFORM_TYPE_RENDERERS）
+ *
+ *   weight               出现权重，即单次抽取落在该类型的概率，没有抽中任何类型时为普通平台
+ *   unlockAt             从第几个平台开始出现；按平台序号而不是分数解锁，同一种子的关卡与玩家表现无关
+ *   moveRange            平台偏离原位的最大距离，生成时相邻平台额外留出这段空隙
+ *   keepsAxis            拐弯布局下其后的平台不拐弯（拐角平台是新航段的原点，不能移动）
+ *   onCreate(core, platform)         生成时调用，初始化类型专属的数据
+ *   update(platform, time)           每一步按模拟时刻更新平台，只能依赖时刻，轨迹预测会摆放未来的状态
+ *   getOffsetAt(platform, time)      某一时刻沿航段偏离原位的距离（移动平台）
+ *   isSolid(platform)                是否还能站立和碰撞，默认为 true
+ *   onLand(core, platform)           玩家落到平台上（不含落回原平台）
+ *   onStay(core, platform)           玩家站在平台上时每一步调用
+ *   onLeave(core, platform)          玩家离开平台（起跳、弹射或失去支撑）
+ */
+const PLATFORM_TYPE_SPEC = {
+  [PLATFORM_TYPE.NORMAL]: {
+    weight: 0
+  },
+
+  // 奖励平台：落上去后静止 BONUS_STAY_TIME 拿到额外分数，起跳即放弃
+  // 蓄力时计时暂停，取消蓄力后继续计时：回放不记录取消的蓄力，取消与否不能影响结果
+  [PLATFORM_TYPE.BONUS]: {
+    weight: 0.1,
+    unlockAt: 0,
+    onCreate: (core, platform) => {
+      platform.bonusKind = core.getRandomBonusKind();
+    },
+    onLand: (core, platform) => core.startBonusStay(platform),
+    onStay: (core) => {
+      if (core.bonusStay && core.gameState === GAME_STATE.START) {
+        core.updateBonusStay();
+      }
+    },
+    onLeave: (core) => {
+      core.bonusStay = null;
+    }
+  },
+
+  // 弹簧平台：落上去先压缩 SPRING_DELAY 步，随后自动弹射
+  [PLATFORM_TYPE.SPRING]: {
+    weight: 0.05,
+    unlockAt: 0,
+    onLand: (core, platform) => {
+      core.gameState = GAME_STATE.JUMPING;
+      core.pendingSpring = { platform, steps: CONFIG.SPRING_DELAY };
+    },
+    onStay: (core, platform) => {
+      if (core.pendingSpring && --core.pendingSpring.steps <= 0) {
+        core.launchFromSpring(platform);
+      }
+    },
+    onLeave: (core) => {
+      core.pendingSpring = null;
+    }
+  },
+
+  // 移动平台：沿航段方向按正弦来回滑动，站在上面的玩家随之移动
+  [PLATFORM_TYPE.MOVING]: {
+    weight: 0.07,
+    unlockAt: CONFIG.DYNAMIC_PLATFORM_START,
+    moveRange: CONFIG.MOVING_RANGE,
+    keepsAxis: true,
+    onCreate: (core, platform) => {
+      platform.motionPhase = core.motionRng.range(0, Math.PI * 2);
+    },
+    getOffsetAt: (platform, time) =>
+      CONFIG.MOVING_RANGE * Math.sin(platform.motionPhase + (time / CONFIG.MOVING_PERIOD) * Math.PI * 2),
+    update: (platform, time) => platform.slideTo(PLATFORM_TYPE_SPEC[PLATFORM_TYPE.MOVING].getOffsetAt(platform, time))
+  },
+
+  // 缩小平台：从被踩上起线性缩小到 SHRINK_MIN_SCALE，中心不动
+  [PLATFORM_TYPE.SHRINKING]: {
+    weight: 0.05,
+    unlockAt: CONFIG.DYNAMIC_PLATFORM_START,
+    onLand: (core, platform) => platform.trigger(core.simTime),
+    update: (platform, time) => {
+      const elapsed = platform.triggerTime === null ? 0 : time - platform.triggerTime;
+      const progress = Math.min(Math.max(elapsed / CONFIG.SHRINK_TIME, 0), 1);
+      platform.width = platform.originWidth * (1 - (1 - CONFIG.SHRINK_MIN_SCALE) * progress);
+      platform.x = platform.originX + (platform.originWidth - platform.width) / 2;
+    }
+  },
+
+  // 碎裂平台：被踩上 CRUMBLE_DELAY 后塌落，按重力下坠，不再参与碰撞
+  [PLATFORM_TYPE.CRUMBLING]: {
+    weight: 0.05,
+    unlockAt: CONFIG.DYNAMIC_PLATFORM_START,
+    onLand: (core, platform) => platform.trigger(core.simTime),
+    update: (platform, time) => {
+      const elapsed = platform.triggerTime === null ? 0 : time - platform.triggerTime - CONFIG.CRUMBLE_DELAY;
+      const steps = Math.max(elapsed, 0) / CONFIG.FIXED_TIMESTEP;
+      platform.crumbled = elapsed > 0;
+      platform.y = platform.originY + CONFIG.GRAVITY * steps * steps / 2;
+    },
+    isSolid: platform => !platform.crumbled
+  }
+};
+
+/**
+ * 游戏核心类
+ * 通过 startCharge()/releaseCharge() 注入输入，通过 step() 推进一个固定步长，
+ * 声音、震动、粒子等表现层效果通过 on() 订阅事件实现
+ */
+class GameCore {
+  constructor(options = {}) {
+    this.gameState = GAME_STATE.START;
+    this.gameOverReason = null;  // 本局结束的原因（'fall'、'side' 等），跳转重算时不派发事件，表现层从这里读取
+
+    // 视口尺寸（决定出生位置、摄像机目标和平台生成范围）
+    this.viewWidth = options.viewWidth || 800;
+    this.viewHeight = options.viewHeight || 450;
+
+    // 关卡布局，setCourseLayout() 修改后从下一局开始生效
+    this.layout = options.layout || COURSE_LAYOUT.STRAIGHT;
+
+    // 蓄力曲线，回放按开局时的曲线记录，应在开局前设置
+    this.chargeCurve = options.chargeCurve || CHARGE_CURVE.LINEAR;
+
+    // 角色碰撞盒的宽度比例（由皮肤决定），回放按开局时的比例记录，应在开局前设置
+    this.hitboxScale = options.hitboxScale || 1;
+
+    // 游戏对象
+    this.player = null;
+    this.platforms = [];
+    this.currentPlatform = null;  // 玩家当前站立的平台
+    this.pendingSpring = null;    // 正在压缩、即将弹射的弹簧 { platform, steps }
+    this.isSpringJump = false;    // 当前这一跳是否由弹簧弹射
+    this.playerFrame = null;      // 玩家坐标所在的航段 { platform, axis }，x 沿航段方向，lateral 垂直于航段
+    this.bonusStay = null;        // 正在奖励平台上等待的奖励 { platform, elapsed }
+    this.acorns = [];             // 平台之间的橡果 { x, y, frame, collected }，x/y 为航段坐标
+    this.powerUps = {};           // 生效中的道具：种类 -> 失效时刻（模拟时钟毫秒）
+
+    // 游戏数据
+    this.score = 0;
+    this.combo = 0;
+    this.acornCount = 0;    // 本局拾取的橡果数
+    this.camera = { x: 0, y: 0 };
+    this.prevCamera = { x: 0, y: 0 };
+
+    // 随机序列
+    this.seed = 0;
+    this.rng = null;
+    this.layoutRng = null;  // 拐弯方向单独使用一个序列，两种布局的平台序列完全相同
+    this.bonusRng = null;   // 奖励平台种类单独使用一个序列
+    this.motionRng = null;  // 移动平台的初始相位单独使用一个序列
+    this.acornRng = null;   // 橡果的摆放单独使用一个序列
+    this.powerUpRng = null; // 道具的出现和种类单独使用一个序列
+    this.platformCount = 0;
+
+    // 输入控制（蓄力时间以模拟时钟计算，按下/松开可以带上事件发生的精确时刻）
+    this.touchStartTime = 0;
+    this.chargePower = 0;
+    this.chargeDuration = 0;
+    this.chargeTimeScale = 1;   // 本次蓄力的速度比例，按下时确定（慢动作道具）
+    this.isCharging = false;
+
+    // 暂停前的状态，恢复时还原
+    this.pausedState = null;
+
+    // 模拟时钟（毫秒），每个固定步长推进一次
+    this.simTime = 0;
+
+    // 事件监听
+    this.listeners = {};
+    this.muteEvents = false;  // 回放跳转快速重算时暂停派发事件
+  }
+
+  /**
+   * 订阅事件
+   * 事件：reset、chargeStart、chargeCancel、jump、land、spring、bonus、pause、resume、gameOver（reason: fall | side）
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+    return () => {
+      this.listeners[type] = this.listeners[type].filter(fn => fn !== listener);
+    };
+  }
+
+  /**
+   * 派发事件
+   */
+  emit(type, payload = {}) {
+    if (this.muteEvents) return;
+    (this.listeners[type] || []).forEach(listener => listener(payload));
+  }
+
+  /**
+   * 设置视口尺寸，已有对象按比例缩放
+   */
+  setViewSize(width, height) {
+    const oldWidth = this.viewWidth;
+    const oldHeight = this.viewHeight;
+    this.viewWidth = width;
+    this.viewHeight = height;
+
+    // 调整游戏对象位置
+    if (this.player && oldWidth && oldHeight) {
+      const scaleX = width / oldWidth;
+      const scaleY = height / oldHeight;
+
+      // 调整玩家位置
+      this.player.x *= scaleX;
+      this.player.y *= scaleY;
+      this.player.savePreviousState();
+
+      // 调整平台位置
+      this.platforms.forEach(platform => {
+        platform.x *= scaleX;
+        platform.y *= scaleY;
+        platform.groundX *= scaleX;
+        platform.groundZ *= scaleX;
+        platform.originX *= scaleX;
+        platform.originY *= scaleY;
+        platform.originGroundX *= scaleX;
+        platform.originGroundZ *= scaleX;
+      });
+      this.acorns.forEach(acorn => {
+        acorn.x *= scaleX;
+        acorn.y *= scaleY;
+      });
+
+      // 调整摄像机位置
+      this.camera.x *= scaleX;
+      this.camera.y *= scaleY;
+      this.prevCamera.x = this.camera.x;
+      this.prevCamera.y = this.camera.y;
+    }
+  }
+
+  /**
+   * 设置关卡布局，从下一局开始生效
+   */
+  setCourseLayout(layout) {
+    this.layout = layout;
+  }
+
+  /**
+   * 设置蓄力曲线
+   */
+  setChargeCurve(curve) {
+    this.chargeCurve = curve;
+  }
+
+  /**
+   * 设置角色碰撞盒的宽度比例
+   */
+  setHitboxScale(scale) {
+    this.hitboxScale = scale;
+  }
+
+  /**
+   * 按当前蓄力曲线把蓄力时长（毫秒）换算为力度
+   */
+  getChargePower(duration) {
+    const seconds = Math.max(0, duration) / 1000;
+    // 蓄力进度：线性蓄满所需时间的倍数
+    const progress = seconds * CONFIG.CHARGE_SPEED / CONFIG.MAX_POWER;
+
+    if (this.chargeCurve === CHARGE_CURVE.EASED) {
+      const t = Math.min(progress, 1);
+      return CONFIG.MAX_POWER * t * t * (3 - 2 * t);
+    }
+    if (this.chargeCurve === CHARGE_CURVE.OSCILLATING) {
+      const phase = progress % 2;
+      return CONFIG.MAX_POWER * (phase <= 1 ? phase : 2 - phase);
+    }
+    return Math.min(seconds * CONFIG.CHARGE_SPEED, CONFIG.MAX_POWER);
+  }
+
+  /**
+   * 使用指定种子开始新的一局
+   */
+  reset(seed) {
+    // 初始化随机序列
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.rng = new SeededRandom(this.seed);
+    this.layoutRng = this.rng.fork('layout');
+    this.bonusRng = this.rng.fork('bonus');
+    this.motionRng = this.rng.fork('motion');
+    this.acornRng = this.rng.fork('acorn');
+    this.powerUpRng = this.rng.fork('powerUp');
+
+    // 创建玩家
+    this.player = new Player(
+      this.viewWidth / 2 - CONFIG.PLAYER_SIZE / 2,
+      CONFIG.GROUND_Y - CONFIG.PLAYER_SIZE
+    );
+
+    // 创建初始平台
+    this.platforms = [
+      new Platform(this.viewWidth / 2 - CONFIG.PLATFORM_WIDTH / 2, CONFIG.GROUND_Y, PLATFORM_TYPE.NORMAL, PLATFORM_SHAPE.SQUARE),
+      new Platform(this.viewWidth / 2 + 150, CONFIG.GROUND_Y, PLATFORM_TYPE.NORMAL, PLATFORM_SHAPE.SQUARE)
+    ];
+    this.placeOnGround(this.platforms[0], null);
+    this.placeOnGround(this.platforms[1], this.platforms[0]);
+    this.platformCount = this.platforms.length;
+    this.acorns = [];
+    this.currentPlatform = this.platforms[0];
+    this.playerFrame = { platform: this.currentPlatform, axis: COURSE_AXIS.X };
+
+    // 重置游戏数据
+    this.score = 0;
+    this.combo = 0;
+    this.acornCount = 0;
+    this.camera.x = 0;
+    this.camera.y = 0;
+    this.prevCamera.x = 0;
+    this.prevCamera.y = 0;
+    this.isCharging = false;
+    this.chargePower = 0;
+    this.pendingSpring = null;
+    this.isSpringJump = false;
+    this.bonusStay = null;
+    this.powerUps = {};
+    this.simTime = 0;
+    this.pausedState = null;
+    this.gameState = GAME_STATE.START;
+    this.gameOverReason = null;
+    this.emit('reset', { seed: this.seed });
+  }
+
+  /**
+   * 开始蓄力（按下）
+   * @param {number} time 按下时刻（模拟时钟毫秒），默认为当前步
+   * @returns {boolean} 是否开始了蓄力
+   */
+  startCharge(time = this.simTime) {
+    if (this.gameState !== GAME_STATE.START) return false;
+
+    this.gameState = GAME_STATE.CHARGING;
+    this.isCharging = true;
+    this.touchStartTime = time;
+    this.chargeTimeScale = this.isPowerUpActive(POWER_UP.SLOW_MOTION) ? CONFIG.SLOW_CHARGE_SCALE : 1;
+    this.chargePower = this.getChargePower((this.simTime - time) * this.chargeTimeScale);
+    this.emit('chargeStart');
+    return true;
+  }
+
+  /**
+   * 结束蓄力并起跳（松开）
+   * @param {number} time 松开时刻（模拟时钟毫秒），默认为当前步
+   * @returns {boolean} 是否起跳
+   */
+  releaseCharge(time = this.simTime) {
+    return this.releaseWithDuration(time - this.touchStartTime);
+  }
+
+  /**
+   * 以给定的蓄力时长起跳，回放用记录的时长精确还原力度
+   * @returns {boolean} 是否起跳
+   */
+  releaseWithDuration(duration) {
+    if (this.gameState !== GAME_STATE.CHARGING || !this.isCharging) return false;
+
+    this.isCharging = false;
+    this.chargeDuration = duration;
+    this.chargePower = this.getChargePower(duration * this.chargeTimeScale);
+    this.jump();
+    return true;
+  }
+
+  /**
+   * 取消蓄力，回到待跳状态，不起跳
+   * @returns {boolean} 是否取消了蓄力
+   */
+  cancelCharge() {
+    if (this.gameState !== GAME_STATE.CHARGING) return false;
+
+    this.gameState = GAME_STATE.START;
+    this.isCharging = false;
+    this.chargePower = 0;
+    this.emit('chargeCancel');
+    return true;
+  }
+
+  /**
+   * 暂停：冻结模拟，正在进行的蓄力被取消，避免切回前台后按住时长被算成满力
+   * @returns {boolean} 是否进入了暂停
+   */
+  pause() {
+    if (this.gameState === GAME_STATE.PAUSED || this.gameState === GAME_STATE.GAME_OVER) return false;
+
+    this.cancelCharge();
+    this.pausedState = this.gameState;
+    this.gameState = GAME_STATE.PAUSED;
+    this.emit('pause');
+    return true;
+  }
+
+  /**
+   * 从暂停中恢复
+   * @returns {boolean} 是否恢复了
+   */
+  resume() {
+    if (this.gameState !== GAME_STATE.PAUSED) return false;
+
+    this.gameState = this.pausedState;
+    this.pausedState = null;
+    this.emit('resume');
+    return true;
+  }
+
+  /**
+   * 玩家跳跃
+   * 蓄力决定水平距离，与目标平台无关：蓄力不足会跳近，蓄力过度会跳远
+   */
+  jump() {
+    if (this.gameState !== GAME_STATE.CHARGING) return;
+
+    // 拐弯布局下先切换到下一段航段的坐标系
+    this.alignToNextLeg();
+    this.runPlatformHook('onLeave', this.currentPlatform);
+
+    // 计算跳跃力度
+    const power = Math.min(this.chargePower, CONFIG.MAX_POWER);
+    const { distance, heightPower, horizontalSpeed } = this.getJumpParams(power);
+
+    this.player.jump(heightPower, horizontalSpeed);
+    this.player.lateralSpeed = this.getLateralSpeed(this.player.lateral, heightPower);
+    this.isSpringJump = false;
+    this.gameState = GAME_STATE.JUMPING;
+    this.emit('jump', { power, distance, chargeDuration: this.chargeDuration });
+  }
+
+  /**
+   * 计算以 power 起跳的跳跃参数
+   * 起跳高度在 MIN_POWER 到满力之间随蓄力增长，水平速度保证回到起跳高度时正好跳出 distance
+   */
+  getJumpParams(power) {
+    const distance = this.getJumpDistance(power);
+    const heightPower = CONFIG.MIN_POWER + (1 - CONFIG.MIN_POWER) * power;
+    const initialVy = CONFIG.JUMP_FORCE * heightPower;
+    // 按固定步长离散积分时，回到起跳高度需要 2v/g + 1 步
+    const jumpTime = (2 * initialVy) / CONFIG.GRAVITY + 1;
+    return { distance, heightPower, horizontalSpeed: distance / jumpTime };
+  }
+
+  /**
+   * 起跳时的横向速度：落到下一个平台的高度时正好回到航段中线
+   * 拐弯后原来沿航段的偏移变成横向偏移，偏离中心的着陆不修正时可能超出下一个平台的横向范围
+   * @param {number} lateral 起跳时（已切换到新航段后）的横向偏移
+   * @param {number} heightPower 起跳高度的力度，见 getJumpParams()
+   */
+  getLateralSpeed(lateral, heightPower) {
+    if (!lateral) return 0;
+
+    const next = this.platforms[this.platforms.indexOf(this.currentPlatform) + 1];
+    const rise = next ? this.currentPlatform.y - next.y : 0;
+    return -lateral / this.getStepsToHeight(CONFIG.JUMP_FORCE * heightPower, rise);
+  }
+
+  /**
+   * 预测以 power 起跳的轨迹，不改变游戏状态
+   * 用与真实跳跃相同的离散积分和碰撞判定逐步模拟，预测的落点与实际结果一致
+   * @returns {{ points: Array<{x: number, y: number, lateral: number}>, frame: Object, contact: Object }}
+   *   points 为每一步脚底中心的航段坐标，frame 为这些坐标所在的航段，contact 同 findContact()
+   */
+  predictJump(power = this.chargePower) {
+    const player = this.player;
+    const ghost = new Player(player.x, player.y);
+    ghost.lateral = player.lateral;
+
+    // 拐弯时起跳前会切换到下一段航段，预测也在切换后的坐标系中进行
+    let frame = this.playerFrame;
+    const nextFrame = this.getNextLegFrame();
+    if (nextFrame) {
+      const along = player.x + CONFIG.PLAYER_SIZE / 2 - this.currentPlatform.getCenterX();
+      ghost.x = this.currentPlatform.getCenterX() + player.lateral - CONFIG.PLAYER_SIZE / 2;
+      ghost.lateral = along;
+      frame = nextFrame;
+    }
+
+    const { heightPower, horizontalSpeed } = this.getJumpParams(Math.min(power, CONFIG.MAX_POWER));
+    ghost.jump(heightPower, horizontalSpeed);
+    ghost.lateralSpeed = this.getLateralSpeed(ghost.lateral, heightPower);
+
+    // 动态平台按未来每一步的时刻摆放，预测结束后还原
+    const platforms = this.getLegPlatforms(frame);
+    const prevCenters = platforms.map(platform => platform.prevCenterX);
+    const points = [];
+    let contact = null;
+    for (let i = 0; i < PREDICTION_MAX_STEPS && !contact; i++) {
+      platforms.forEach(platform => {
+        platform.savePreviousState();
+        platform.update(this.simTime + (i + 1) * CONFIG.FIXED_TIMESTEP);
+      });
+      ghost.savePreviousState();
+      ghost.update();
+      contact = this.findContact(ghost, platforms, true);
+
+      const x = contact && contact.type === 'land' ? contact.contactX : ghost.x;
+      const y = contact && contact.type === 'land' ? contact.platform.y - CONFIG.PLAYER_SIZE : ghost.y;
+      points.push({ x: x + CONFIG.PLAYER_SIZE / 2, y: y + CONFIG.PLAYER_SIZE, lateral: ghost.lateral });
+    }
+
+    platforms.forEach((platform, i) => {
+      platform.update(this.simTime);
+      platform.prevCenterX = prevCenters[i];
+    });
+    return { points, frame, contact };
+  }
+
+  /**
+   * 起跳时要切换到的下一段航段，不拐弯时返回 null
+   */
+  getNextLegFrame() {
+    const index = this.platforms.indexOf(this.currentPlatform);
+    const next = this.platforms[index + 1];
+    if (this.layout !== COURSE_LAYOUT.TURNING || !next || next.axis === this.playerFrame.axis) return null;
+
+    return { platform: this.currentPlatform, axis: next.axis };
+  }
+
+  /**
+   * 切换到下一段航段的坐标系
+   * 航段拐弯时，原来沿航段的偏移变成横向偏移，横向偏移变成沿航段的偏移，玩家在地面上的位置不变
+   */
+  alignToNextLeg() {
+    const nextFrame = this.getNextLegFrame();
+    if (!nextFrame) return;
+
+    const player = this.player;
+    const along = player.x + CONFIG.PLAYER_SIZE / 2 - this.currentPlatform.getCenterX();
+    player.x = this.currentPlatform.getCenterX() + player.lateral - CONFIG.PLAYER_SIZE / 2;
+    player.lateral = along;
+    player.savePreviousState();
+    this.playerFrame = nextFrame;
+  }
+
+  /**
+   * 航段上可以落脚的平台：起跳平台以及之后同方向的连续平台
+   * 直线布局下所有平台都在同一航段上
+   */
+  getLegPlatforms(frame = this.playerFrame) {
+    if (this.layout !== COURSE_LAYOUT.TURNING) return this.platforms;
+
+    const origin = frame.platform;
+    const index = this.platforms.indexOf(origin);
+    const leg = [origin];
+    for (let i = index + 1; i < this.platforms.length && this.platforms[i].axis === frame.axis; i++) {
+      leg.push(this.platforms[i]);
+    }
+    return leg;
+  }
+
+  /**
+   * 把航段坐标（沿航段位置、横向偏移）换算为地面平面坐标
+   * @param {Object} frame 坐标所在的航段，默认为玩家当前所在航段
+   */
+  getGroundPoint(x, lateral = 0, frame = this.playerFrame) {
+    const { platform, axis } = frame;
+    const along = x - platform.getCenterX();
+    return axis === COURSE_AXIS.X
+      ? { x: platform.groundX + along, z: platform.groundZ + lateral }
+      : { x: platform.groundX + lateral, z: platform.groundZ + along };
+  }
+
+  /**
+   * 确定新平台在地面平面上的方向和位置
+   * 直线布局始终沿 X 方向，拐弯布局每一步随机向左或向右
+   */
+  placeOnGround(platform, previous) {
+    if (!previous) {
+      platform.axis = COURSE_AXIS.X;
+      platform.groundX = platform.originGroundX = platform.getCenterX();
+      platform.groundZ = platform.originGroundZ = 0;
+      return;
+    }
+
+    platform.axis = this.layout === COURSE_LAYOUT.TURNING && this.layoutRng.next() < 0.5
+      ? COURSE_AXIS.Z
+      : COURSE_AXIS.X;
+    // 拐弯时以起跳平台为新航段的原点，会移动的平台不能做拐角
+    if (PLATFORM_TYPE_SPEC[previous.type].keepsAxis) {
+      platform.axis = previous.axis;
+    }
+    // 以上一个平台的原位计算，关卡与平台当前的运动状态无关
+    const distance = platform.getCenterX() - previous.getOriginCenterX();
+    platform.groundX = previous.originGroundX + (platform.axis === COURSE_AXIS.X ? distance : 0);
+    platform.groundZ = previous.originGroundZ + (platform.axis === COURSE_AXIS.Z ? distance : 0);
+    platform.originGroundX = platform.groundX;
+    platform.originGroundZ = platform.groundZ;
+  }
+
+  /**
+   * 根据蓄力力度计算水平跳跃距离
+   */
+  getJumpDistance(power) {
+    return power * CONFIG.BASE_DISTANCE * CONFIG.JUMP_RANGE;
+  }
+
+  /**
+   * 以初速度 v 起跳，下落时回到相对起跳点高度 rise 处所需的步数
+   * 离散积分下 n 步后的上升高度为 n*v - g*n*(n-1)/2
+   */
+  getStepsToHeight(v, rise) {
+    const g = CONFIG.GRAVITY;
+    const b = v + g / 2;
+    return (b + Math.sqrt(Math.max(0, b * b - 2 * g * rise))) / g;
+  }
+
+  /**
+   * 推进一个固定步长
+   */
+  step() {
+    // 暂停时模拟时钟也停止
+    if (this.gameState === GAME_STATE.PAUSED) return;
+
+    // 记录上一步状态，供渲染插值使用
+    this.savePreviousState();
+    this.simTime += CONFIG.FIXED_TIMESTEP;
+
+    // 到时的道具失效
+    this.updatePowerUps();
+
+    // 更新蓄力
+    if (this.isCharging) {
+      this.chargePower = this.getChargePower((this.simTime - this.touchStartTime) * this.chargeTimeScale);
+    }
+
+    // 更新动态平台，站在上面的玩家随之移动
+    this.updatePlatforms();
+
+    // 站在平台上时执行平台类型的停留行为（弹簧压缩后弹射、奖励计时等）
+    if (this.isStanding()) {
+      this.runPlatformHook('onStay', this.currentPlatform);
+    }
+
+    // 更新玩家
+    this.player.update();
+
+    // 拾取空中的橡果
+    if (this.gameState === GAME_STATE.JUMPING) {
+      this.collectAcorns();
+    }
+
+    // 检查着陆与碰撞
+    if (this.gameState === GAME_STATE.JUMPING && this.player.isJumping) {
+      this.checkLanding();
+    }
+
+    // 更新摄像机
+    this.updateCamera();
+
+    // 生成新平台
+    this.generatePlatforms();
+  }
+
+  /**
+   * 保存上一步的位置
+   */
+  savePreviousState() {
+    this.player.savePreviousState();
+    this.platforms.forEach(platform => platform.savePreviousState());
+    this.prevCamera.x = this.camera.x;
+    this.prevCamera.y = this.camera.y;
+  }
+
+  /**
+   * 按当前模拟时刻更新所有动态平台
+   * 站在移动平台上的玩家随平台平移；脚下平台缩小到站不住或者塌落时，玩家失去支撑开始下落
+   */
+  updatePlatforms() {
+    const player = this.player;
+    const standing = this.isStanding() ? this.currentPlatform : null;
+    const before = standing ? standing.getCenterX() : 0;
+
+    this.platforms.forEach(platform => platform.update(this.simTime));
+    if (!standing) return;
+
+    player.x += standing.getCenterX() - before;
+    if (!standing.isSolid() || !standing.contains(player.x + CONFIG.PLAYER_SIZE / 2, player.lateral, this.getHitboxHalfWidth())) {
+      this.dropPlayer();
+    }
+  }
+
+  /**
+   * 玩家失去支撑：取消蓄力，离开平台，从原地开始自由下落
+   */
+  dropPlayer() {
+    this.cancelCharge();
+    this.runPlatformHook('onLeave', this.currentPlatform);
+    this.player.jump(0, 0);
+    this.gameState = GAME_STATE.JUMPING;
+  }
+
+  /**
+   * 玩家是否站在当前平台上（包括弹簧压缩期间）
+   */
+  isStanding() {
+    return this.gameState !== GAME_STATE.GAME_OVER && !this.player.isJumping && this.currentPlatform !== null;
+  }
+
+  /**
+   * 调用平台类型注册表中声明的钩子，类型没有声明该钩子时什么也不做
+   */
+  runPlatformHook(name, platform) {
+    const hook = PLATFORM_TYPE_SPEC[platform.type][name];
+    if (hook) {
+      hook(this, platform);
+    }
+  }
+
+  /**
+   * 检查着陆
+   * 下落时脚底穿过某个平台顶面即着陆；撞到平台侧面或掉到地面则失败
+   */
+  checkLanding() {
+    // 弹簧弹射是自动的，不做侧面判定
+    const contact = this.findContact(this.player, this.getLegPlatforms(), !this.isSpringJump);
+    if (!contact) return;
+
+    if (contact.type === 'land') {
+      this.landOn(contact.platform, contact.contactX);
+    } else {
+      if (contact.type === 'side') {
+        this.player.vx = 0;
+      }
+      // 护盾抵挡一次失误
+      if (this.isPowerUpActive(POWER_UP.SHIELD)) {
+        this.rescueWithShield(contact.type);
+        return;
+      }
+      this.gameOver(contact.type);
+    }
+  }
+
+  /**
+   * 判断跳跃中的玩家本步是否接触到平台或地面
+   * 下落时脚底穿过某个平台顶面即着陆；撞到平台侧面或掉到地面则失败
+   * 移动平台按接触时刻所在的位置判定，已经塌落的平台不参与判定
+   * @returns {Object|null} { type: 'land', platform, contactX } | { type: 'side' } | { type: 'fall' }，未接触时为 null
+   *   contactX 为着陆后（本步结束时）玩家的位置，已计入平台在接触之后的移动
+   */
+  findContact(player, allPlatforms, checkSide) {
+    const platforms = allPlatforms.filter(platform => platform.isSolid());
+    const bottom = player.y + CONFIG.PLAYER_SIZE;
+    const prevBottom = player.prevY + CONFIG.PLAYER_SIZE;
+
+    // 下落时检测本步穿过的平台顶面，取最先穿过的一个
+    if (bottom > prevBottom) {
+      let landing = null;
+      platforms.forEach(platform => {
+        if (prevBottom > platform.y || bottom < platform.y) return;
+
+        // 在上一步与当前步之间插值出脚底恰好接触顶面时的水平位置，避免高速下落时穿过判定
+        const t = (platform.y - prevBottom) / (bottom - prevBottom);
+        // 接触之后平台在本步剩余时间内的移动，玩家站上去后随之移动
+        const shift = (platform.getCenterX() - platform.prevCenterX) * (1 - t);
+        const contactX = player.prevX + (player.x - player.prevX) * t + shift;
+        if (platform.contains(contactX + CONFIG.PLAYER_SIZE / 2, player.lateral, this.getHitboxHalfWidth()) &&
+          (!landing || t < landing.t)) {
+          landing = { type: 'land', platform, t, contactX };
+        }
+      });
+
+      if (landing) return landing;
+    }
+
+    // 撞到平台侧面
+    if (checkSide && platforms.some(platform => this.hitsPlatformSide(platform, player))) {
+      return { type: 'side' };
+    }
+
+    // 掉到地面
+    if (bottom >= CONFIG.GROUND_Y + CONFIG.PLATFORM_HEIGHT) {
+      return { type: 'fall' };
+    }
+    return null;
+  }
+
+  /**
+   * 玩家碰撞盒的半宽，按角色皮肤的 hitboxScale 缩放
+   * 侧面碰撞和落脚判定使用同一宽度：碰撞盒越宽越容易撞到侧面，也越容易踩到平台边缘
+   */
+  getHitboxHalfWidth() {
+    return CONFIG.PLAYER_SIZE * 0.15 * this.hitboxScale;
+  }
+
+  /**
+   * 判断玩家是否撞进平台顶面以下的部分
+   * 玩家碰撞盒取身体下半部分的中间区域
+   */
+  hitsPlatformSide(platform, player = this.player) {
+    const halfWidth = this.getHitboxHalfWidth();
+    const left = player.x + CONFIG.PLAYER_SIZE / 2 - halfWidth;
+    const right = player.x + CONFIG.PLAYER_SIZE / 2 + halfWidth;
+    const top = player.y + CONFIG.PLAYER_SIZE * 0.5;
+    const bottom = player.y + CONFIG.PLAYER_SIZE;
+
+    const platformLeft = platform.getCenterX() - platform.getHalfFootprint();
+    const platformRight = platform.getCenterX() + platform.getHalfFootprint();
+    const lateralReach = platform.getHalfDepth() + halfWidth;
+
+    return right > platformLeft && left < platformRight && Math.abs(player.lateral) < lateralReach &&
+      bottom > platform.y + CONFIG.SIDE_TOLERANCE && top < platform.getBodyBottom();
+  }
+
+  /**
+   * 落到平台顶面
+   */
+  landOn(landedPlatform, contactX) {
+    const player = this.player;
+
+    // 成功着陆到平台
+    player.x = contactX;
+    player.land(landedPlatform.y - CONFIG.PLAYER_SIZE);
+    this.gameState = GAME_STATE.START;
+
+    if (landedPlatform === this.currentPlatform) {
+      // 蓄力太小落回原平台：不得分，连击保持
+      this.emit('land', { platform: landedPlatform, perfect: false, bonus: false, sameLanding: true });
+      return;
+    }
+
+    this.currentPlatform = landedPlatform;
+    this.playerFrame.platform = landedPlatform;
+
+    // 平台类型的着陆行为（弹簧开始压缩、奖励开始计时、缩小和碎裂开始倒计时等）
+    this.runPlatformHook('onLand', landedPlatform);
+
+    // 先拾取道具，双倍得分对这次着陆就生效
+    if (landedPlatform.powerUp) {
+      this.activatePowerUp(landedPlatform.powerUp);
+      landedPlatform.powerUp = null;
+    }
+
+    if (this.isSpringJump) {
+      this.handleSpringLanding(landedPlatform);
+    } else {
+      this.handleSuccessfulLanding(landedPlatform);
+    }
+  }
+
+  /**
+   * 弹簧弹射：越过下一个平台，精确落到再下一个平台的中心
+   */
+  launchFromSpring(spring) {
+    this.runPlatformHook('onLeave', spring);
+
+    // 拐弯布局下只能弹向同一航段上的平台
+    this.alignToNextLeg();
+    const playerCenterX = this.player.x + CONFIG.PLAYER_SIZE / 2;
+    const ahead = this.getLegPlatforms().filter(platform => platform.x > spring.x + spring.width);
+    const target = ahead[1] || ahead[0];
+    if (!target) {
+      this.gameState = GAME_STATE.START;
+      return;
+    }
+
+    // 移动平台按落地时刻的位置瞄准
+    const initialVy = CONFIG.JUMP_FORCE * CONFIG.SPRING_FORCE;
+    const jumpTime = this.getStepsToHeight(initialVy, spring.y - target.y);
+    const distance = target.getCenterXAt(this.simTime + jumpTime * CONFIG.FIXED_TIMESTEP) - playerCenterX;
+
+    this.player.jump(CONFIG.SPRING_FORCE, distance / jumpTime);
+    this.player.lateralSpeed = -this.player.lateral / jumpTime;
+    this.isSpringJump = true;
+    const points = this.addScore(CONFIG.SPRING_SCORE);
+    this.emit('spring', { platform: spring, target, points });
+  }
+
+  /**
+   * 处理弹簧弹射后的着陆：固定得分，不影响连击
+   */
+  handleSpringLanding(platform) {
+    this.isSpringJump = false;
+    this.addScore(CONFIG.SPRING_LANDING_SCORE);
+
+    // 着陆钩子已经在奖励平台上开始计时
+    const bonus = this.bonusStay !== null;
+    this.emit('land', { platform, perfect: false, bonus, fromSpring: true });
+  }
+
+  /**
+   * 处理成功着陆
+   */
+  handleSuccessfulLanding(platform) {
+    // 计算分数
+    const playerCenterX = this.player.x + CONFIG.PLAYER_SIZE / 2;
+    const distance = Math.hypot(platform.getCenterX() - playerCenterX, this.player.lateral);
+    const perfect = distance <= platform.getPerfectTolerance();
+
+    // 双倍得分只放大分数，连击照常累计
+    if (perfect) {
+      // 完美着陆
+      this.combo++;
+      this.addScore(2 + this.combo);
+    } else {
+      // 普通着陆
+      this.combo = 0;
+      this.addScore(1);
+    }
+
+    // 着陆钩子已经在奖励平台上开始计时
+    const bonus = this.bonusStay !== null;
+    this.emit('land', { platform, perfect, bonus });
+  }
+
+  /**
+   * 加分，双倍得分生效时翻倍
+   * @returns {number} 实际加上的分数
+   */
+  addScore(points) {
+    const actual = this.isPowerUpActive(POWER_UP.DOUBLE_SCORE) ? points * CONFIG.DOUBLE_SCORE_MULTIPLIER : points;
+    this.score += actual;
+    return actual;
+  }
+
+  /**
+   * 护盾抵挡一次失误：护盾消失，连击中断，玩家回到起跳平台中心重新起跳
+   * 起跳平台已经塌落时，回到它之后第一个还能站立的平台
+   */
+  rescueWithShield(reason) {
+    delete this.powerUps[POWER_UP.SHIELD];
+
+    const index = this.platforms.indexOf(this.currentPlatform);
+    const platform = this.platforms.slice(Math.max(index, 0)).find(candidate => candidate.isSolid());
+    if (!platform) {
+      this.gameOver(reason);
+      return;
+    }
+
+    const player = this.player;
+    player.x = platform.getCenterX() - CONFIG.PLAYER_SIZE / 2;
+    player.lateral = 0;
+    player.land(platform.y - CONFIG.PLAYER_SIZE);
+    player.savePreviousState();
+    this.currentPlatform = platform;
+    this.playerFrame = { platform, axis: this.playerFrame.axis };
+    this.isSpringJump = false;
+    this.combo = 0;
+    this.gameState = GAME_STATE.START;
+    this.emit('shield', { platform, reason });
+  }
+
+  /**
+   * 拾取道具：开始计时，已经生效的同种道具重新计时
+   */
+  activatePowerUp(kind) {
+    this.powerUps[kind] = this.simTime + POWER_UP_SPEC[kind].duration;
+    this.emit('powerUp', { kind });
+  }
+
+  /**
+   * 移除到时的道具
+   */
+  updatePowerUps() {
+    Object.keys(this.powerUps).forEach(kind => {
+      if (this.powerUps[kind] > this.simTime) return;
+      delete this.powerUps[kind];
+      this.emit('powerUpEnd', { kind });
+    });
+  }
+
+  isPowerUpActive(kind) {
+    return kind in this.powerUps;
+  }
+
+  /**
+   * 生效中的道具，按拾取顺序排列
+   * @returns {Array<{kind: string, timeLeft: number, remaining: number}>} timeLeft 为剩余毫秒，remaining 为剩余比例（0-1）
+   */
+  getActivePowerUps() {
+    return Object.keys(this.powerUps).map(kind => {
+      const timeLeft = Math.max(0, this.powerUps[kind] - this.simTime);
+      return { kind, timeLeft, remaining: timeLeft / POWER_UP_SPEC[kind].duration };
+    });
+  }
+
+  /**
+   * 落到奖励平台上，奖励未领取时开始静止计时
+   */
+  startBonusStay(platform) {
+    if (platform.bonusCollected) return;
+
+    this.bonusStay = { platform, elapsed: 0 };
+  }
+
+  /**
+   * 推进奖励计时，静止够 BONUS_STAY_TIME 后发放奖励
+   */
+  updateBonusStay() {
+    const stay = this.bonusStay;
+    stay.elapsed += CONFIG.FIXED_TIMESTEP;
+    if (stay.elapsed < CONFIG.BONUS_STAY_TIME) return;
+
+    const platform = stay.platform;
+    const points = this.addScore(BONUS_KIND_SPEC[platform.bonusKind].points);
+    this.bonusStay = null;
+    platform.bonusCollected = true;
+    this.emit('bonus', { platform, kind: platform.bonusKind, points });
+  }
+
+  /**
+   * 奖励计时进度（0-1），不在奖励平台上等待时返回 null
+   */
+  getBonusProgress() {
+    return this.bonusStay ? Math.min(this.bonusStay.elapsed / CONFIG.BONUS_STAY_TIME, 1) : null;
+  }
+
+  /**
+   * 更新摄像机
+   */
+  updateCamera() {
+    // 游戏结束时保持摄像机静止
+    if (this.gameState === GAME_STATE.GAME_OVER) {
+      return;
+    }
+
+    const targetX = this.player.x - this.viewWidth / 2;
+    this.camera.x += (targetX - this.camera.x) * 0.1;
+
+    // 垂直方向跟随玩家站立的平台，让平台顶面保持在地面线附近
+    const targetY = this.currentPlatform ? this.currentPlatform.y - CONFIG.GROUND_Y : 0;
+    this.camera.y += (targetY - this.camera.y) * 0.08;
+  }
+
+  /**
+   * 生成新平台
+   */
+  generatePlatforms() {
+    // 以上一个平台的原位和原始宽度计算，关卡与平台当前的运动状态无关
+    const lastPlatform = this.platforms[this.platforms.length - 1];
+    const rightmostX = lastPlatform.x;
+
+    // 如果最右边的平台距离摄像机不够远，生成新平台
+    if (rightmostX < this.camera.x + this.viewWidth + 200) {
+      // 难度按平台序号递增而不是按分数，同一种子下所有玩家的关卡完全一致
+      const gap = CONFIG.BASE_DISTANCE + this.rng.next() * 100 + this.platformCount * CONFIG.DIFFICULTY_FACTOR;
+      const type = this.getRandomPlatformType();
+      const shape = this.getRandomPlatformShape();
+      const width = this.getRandomPlatformWidth(shape);
+
+      // 保持与等宽平台相同的边缘空隙（移动平台再留出移动范围），中心距离不超过可达范围
+      const maxCenterDistance = this.getJumpDistance(CONFIG.MAX_POWER) * CONFIG.MAX_GAP_RATIO;
+      const edgeGap = Math.max(gap - CONFIG.PLATFORM_WIDTH, CONFIG.MIN_EDGE_GAP);
+      const moveRange = (PLATFORM_TYPE_SPEC[lastPlatform.type].moveRange || 0) +
+        (PLATFORM_TYPE_SPEC[type].moveRange || 0);
+      const centerDistance = Math.min(lastPlatform.originWidth / 2 + edgeGap + moveRange + width / 2, maxCenterDistance);
+      const newX = lastPlatform.getOriginCenterX() + centerDistance - width / 2;
+
+      // 高度在上一平台基础上上下浮动，限制在地面与最大高度之间
+      const newY = Math.max(
+        CONFIG.GROUND_Y - CONFIG.PLATFORM_MAX_RISE,
+        Math.min(CONFIG.GROUND_Y, lastPlatform.originY + this.rng.range(-1, 1) * CONFIG.PLATFORM_STEP_HEIGHT)
+      );
+
+      const platform = new Platform(newX, newY, type, shape, width);
+      this.runPlatformHook('onCreate', platform);
+      platform.powerUp = this.getRandomPowerUp(platform);
+      this.placeOnGround(platform, lastPlatform);
+      platform.update(this.simTime);
+      platform.savePreviousState();
+      this.platforms.push(platform);
+      this.platformCount++;
+      this.placeAcorns(lastPlatform, platform);
+    }
+
+    // 清理离开屏幕的平台和橡果
+    this.platforms = this.platforms.filter(platform =>
+      platform.x > this.camera.x - 200
+    );
+    this.acorns = this.acorns.filter(acorn => acorn.x > this.camera.x - 200);
+  }
+
+  /**
+   * 在两个平台之间沿一条跳跃弧线摆放一串橡果
+   * 弧线是从起跳平台中心起跳、落在目标平台顶面偏前或偏后一点的轨迹：完美着陆吃不到，
+   * 要吃到橡果就得放弃完美着陆，把蓄力控制在这条弧线对应的力度附近
+   */
+  placeAcorns(from, to) {
+    // 弹簧平台自动弹射，这一跳不由玩家蓄力
+    if (from.type === PLATFORM_TYPE.SPRING || this.acornRng.next() >= CONFIG.ACORN_CHANCE) return;
+
+    const startX = from.getOriginCenterX();
+    const side = this.acornRng.next() < 0.5 ? -1 : 1;
+    const distance = to.getOriginCenterX() - startX + side * this.acornRng.range(0.4, 0.8) * to.getHalfFootprint();
+    const rise = from.originY - to.originY;
+    const landingDistance = power => {
+      const { heightPower, horizontalSpeed } = this.getJumpParams(power);
+      return horizontalSpeed * this.getStepsToHeight(CONFIG.JUMP_FORCE * heightPower, rise);
+    };
+
+    // 落点距离随力度单调增加，二分求出对应的力度
+    let low = 0;
+    let high = CONFIG.MAX_POWER;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (landingDistance(mid) < distance) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    // 排在弧线的下降段：不同力度的弧线在这里分得最开，坐标为玩家身体中心经过的位置
+    const { heightPower, horizontalSpeed } = this.getJumpParams(low);
+    const v = CONFIG.JUMP_FORCE * heightPower;
+    const middle = this.getStepsToHeight(v, rise) * CONFIG.ACORN_ARC_POSITION;
+    const frame = { platform: from, axis: to.axis };
+    for (let i = 0; i < CONFIG.ACORN_COUNT; i++) {
+      const n = Math.round(middle + (i - (CONFIG.ACORN_COUNT - 1) / 2) * CONFIG.ACORN_SPACING);
+      this.acorns.push({
+        x: startX + horizontalSpeed * n,
+        y: from.originY - CONFIG.PLAYER_SIZE / 2 - (n * v - CONFIG.GRAVITY * n * (n - 1) / 2),
+        frame,
+        collected: false
+      });
+    }
+  }
+
+  /**
+   * 拾取玩家身体碰到的橡果，磁铁生效时拾取范围扩大
+   * 橡果和玩家可能在不同的航段坐标系中，换算到地面平面上比较距离
+   */
+  collectAcorns() {
+    const player = this.player;
+    const center = this.getGroundPoint(player.x + CONFIG.PLAYER_SIZE / 2, player.lateral);
+    const centerY = player.y + CONFIG.PLAYER_SIZE / 2;
+    const radius = this.isPowerUpActive(POWER_UP.MAGNET) ? CONFIG.MAGNET_RADIUS : CONFIG.ACORN_RADIUS;
+
+    this.acorns.forEach(acorn => {
+      if (acorn.collected) return;
+      const ground = this.getGroundPoint(acorn.x, 0, acorn.frame);
+      if (Math.hypot(ground.x - center.x, ground.z - center.z, acorn.y - centerY) > radius) return;
+
+      acorn.collected = true;
+      this.acornCount++;
+      this.emit('acorn', { acorn, count: this.acornCount });
+    });
+  }
+
+  /**
+   * 获取随机平台类型：在已解锁的类型中按权重抽取，未解锁类型的概率归入普通平台
+   */
+  getRandomPlatformType() {
+    let rand = this.rng.next();
+    for (const type of Object.keys(PLATFORM_TYPE_SPEC)) {
+      const spec = PLATFORM_TYPE_SPEC[type];
+      if (!spec.weight || this.platformCount < spec.unlockAt) continue;
+      rand -= spec.weight;
+      if (rand < 0) return type;
+    }
+    return PLATFORM_TYPE.NORMAL;
+  }
+
+  /**
+   * 获取随机平台形状
+   */
+  getRandomPlatformShape() {
+    let rand = this.rng.next();
+    for (const shape of Object.keys(PLATFORM_SHAPE_SPEC)) {
+      rand -= PLATFORM_SHAPE_SPEC[shape].weight;
+      if (rand < 0) return shape;
+    }
+    return PLATFORM_SHAPE.SQUARE;
+  }
+
+  /**
+   * 获取随机奖励平台种类
+   */
+  getRandomBonusKind() {
+    let rand = this.bonusRng.next();
+    for (const kind of Object.keys(BONUS_KIND_SPEC)) {
+      rand -= BONUS_KIND_SPEC[kind].weight;
+      if (rand < 0) return kind;
+    }
+    return BONUS_KIND.STORE;
+  }
+
+  /**
+   * 获取随机道具，只放在普通平台上，不出现时返回 null
+   */
+  getRandomPowerUp(platform) {
+    if (platform.type !== PLATFORM_TYPE.NORMAL || this.platformCount < CONFIG.POWER_UP_START) return null;
+    if (this.powerUpRng.next() >= CONFIG.POWER_UP_CHANCE) return null;
+
+    let rand = this.powerUpRng.next();
+    for (const kind of Object.keys(POWER_UP_SPEC)) {
+      rand -= POWER_UP_SPEC[kind].weight;
+      if (rand < 0) return kind;
+    }
+    return POWER_UP.SHIELD;
+  }
+
+  /**
+   * 获取随机平台宽度，越往后平台越小
+   */
+  getRandomPlatformWidth(shape) {
+    const spec = PLATFORM_SHAPE_SPEC[shape];
+    const difficultyScale = Math.max(
+      CONFIG.MIN_PLATFORM_SCALE,
+      1 - this.platformCount * CONFIG.PLATFORM_SHRINK_RATE
+    );
+    return CONFIG.PLATFORM_WIDTH * this.rng.range(spec.minScale, spec.maxScale) * difficultyScale;
+  }
+
+  /**
+   * 游戏结束
+   */
+  gameOver(reason = 'fall') {
+    this.gameState = GAME_STATE.GAME_OVER;
+    this.gameOverReason = reason;
+    this.isCharging = false;
+    this.emit('gameOver', { score: this.score, reason });
+  }
+}
+
+/**
+ * 玩家类
+ */
+class Player {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    this.vx = 0;
+    this.vy = 0;
+    this.prevX = x;
+    this.prevY = y;
+    this.lateral = 0;       // 垂直于航段的偏移，只在拐弯布局下不为0
+    this.prevLateral = 0;
+    this.lateralSpeed = 0;
+    this.isJumping = false;
+    this.size = CONFIG.PLAYER_SIZE;
+  }
+
+  savePreviousState() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevLateral = this.lateral;
+  }
+
+  jump(power, horizontalSpeed) {
+    this.vy = -CONFIG.JUMP_FORCE * power;
+    this.vx = horizontalSpeed;
+    this.lateralSpeed = 0;
+    this.isJumping = true;
+  }
+
+  update() {
+    if (this.isJumping) {
+      this.x += this.vx;
+      this.y += this.vy;
+      this.lateral += this.lateralSpeed;
+      this.vy += CONFIG.GRAVITY;
+    }
+  }
+
+  land(y) {
+    this.y = y;
+    this.prevY = y;
+    this.vx = 0;
+    this.vy = 0;
+    this.lateralSpeed = 0;
+    this.isJumping = false;
+  }
+}
+
+/**
+ * 平台类
+ * 碰撞和完美着陆判定都使用平台自身的几何尺寸
+ */
+class Platform {
+  constructor(x, y, type = PLATFORM_TYPE.NORMAL, shape = PLATFORM_SHAPE.SQUARE, width = CONFIG.PLATFORM_WIDTH) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = CONFIG.PLATFORM_HEIGHT;
+    this.type = type;
+    this.shape = shape;
+
+    // 生成时的原位和原始尺寸，动态平台每一步由此推算当前状态
+    this.originX = x;
+    this.originY = y;
+    this.originWidth = width;
+    this.motionPhase = 0;       // 移动平台的初始相位
+    this.triggerTime = null;    // 缩小、碎裂平台被踩上的时刻（模拟时钟毫秒）
+    this.crumbled = false;      // 碎裂平台是否已经塌落
+    this.prevCenterX = this.getCenterX();
+
+    // 奖励平台的种类和是否已领取奖励
+    this.bonusKind = null;
+    this.bonusCollected = false;
+
+    // 平台上等待拾取的道具（POWER_UP），没有时为 null
+    this.powerUp = null;
+
+    // 地面平面上的方向和中心位置（等距视图使用），由 GameCore.placeOnGround() 设置
+    this.axis = COURSE_AXIS.X;
+    this.groundX = 0;
+    this.groundZ = 0;
+    this.originGroundX = 0;
+    this.originGroundZ = 0;
+  }
+
+  getCenterX() {
+    return this.x + this.width / 2;
+  }
+
+  getOriginCenterX() {
+    return this.originX + this.originWidth / 2;
+  }
+
+  savePreviousState() {
+    this.prevCenterX = this.getCenterX();
+  }
+
+  /**
+   * 按模拟时刻更新平台，具体行为由平台类型注册表中的 update 决定
+   * 结果只取决于时刻，轨迹预测可以直接摆放出未来某一步的状态
+   */
+  update(time) {
+    const spec = PLATFORM_TYPE_SPEC[this.type];
+    if (spec.update) {
+      spec.update(this, time);
+    }
+  }
+
+  /**
+   * 平台在某一时刻的中心位置，只有会移动的平台随时间变化
+   */
+  getCenterXAt(time) {
+    const spec = PLATFORM_TYPE_SPEC[this.type];
+    return spec.getOffsetAt ? this.getOriginCenterX() + spec.getOffsetAt(this, time) : this.getCenterX();
+  }
+
+  /**
+   * 沿航段方向移动到偏离原位 offset 的位置，地面坐标同步移动
+   */
+  slideTo(offset) {
+    this.x = this.originX + offset;
+    this.groundX = this.originGroundX + (this.axis === COURSE_AXIS.X ? offset : 0);
+    this.groundZ = this.originGroundZ + (this.axis === COURSE_AXIS.Z ? offset : 0);
+  }
+
+  /**
+   * 被玩家踩上，缩小和碎裂平台开始计时（只计第一次）
+   */
+  trigger(time) {
+    if (this.triggerTime === null) {
+      this.triggerTime = time;
+    }
+  }
+
+  /**
+   * 是否还能站立和碰撞
+   */
+  isSolid() {
+    const spec = PLATFORM_TYPE_SPEC[this.type];
+    return spec.isSolid ? spec.isSolid(this) : true;
+  }
+
+  /**
+   * 可站立的半宽：圆形树桩边缘是弧面，站立范围略小于直径
+   */
+  getHalfFootprint() {
+    return this.shape === PLATFORM_SHAPE.ROUND ? this.width * 0.45 : this.width / 2;
+  }
+
+  /**
+   * 垂直于航段方向的可站立半宽：原木是细长的，其余形状与半宽相同
+   */
+  getHalfDepth() {
+    if (this.shape === PLATFORM_SHAPE.LOG) {
+      return Math.min(this.getHalfFootprint(), CONFIG.PLATFORM_WIDTH * 0.3);
+    }
+    return this.getHalfFootprint();
+  }
+
+  /**
+   * 判断位置是否落在平台上
+   * @param {number} x 沿航段的位置
+   * @param {number} lateral 横向偏移，直线布局下始终为0
+   * @param {number} reach 位置周围还算踩到平台的范围（玩家碰撞盒的半宽），为 0 时只判断这一点
+   */
+  contains(x, lateral = 0, reach = 0) {
+    const along = x - this.getCenterX();
+    if (this.shape === PLATFORM_SHAPE.ROUND) {
+      return Math.hypot(along, lateral) <= this.getHalfFootprint() + reach;
+    }
+    return Math.abs(along) <= this.getHalfFootprint() + reach && Math.abs(lateral) <= this.getHalfDepth() + reach;
+  }
+
+  /**
+   * 平台实体的底部：树桩和木箱一直延伸到地面，原木是悬空的树枝
+   */
+  getBodyBottom() {
+    if (this.shape === PLATFORM_SHAPE.LOG) {
+      return this.y + this.height;
+    }
+    return Math.max(this.y, CONFIG.GROUND_Y) + this.height;
+  }
+
+  /**
+   * 完美着陆容差按平台宽度缩放，长原木的容差有上限
+   */
+  getPerfectTolerance() {
+    const scale = Math.min(this.width / CONFIG.PLATFORM_WIDTH, 1.5);
+    return CONFIG.PERFECT_TOLERANCE * scale;
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONFIG, GAME_STATE, PLATFORM_TYPE, PLATFORM_SHAPE, COURSE_LAYOUT, CHARGE_CURVE, COURSE_AXIS, BONUS_KIND, POWER_UP, PLATFORM_TYPE_SPEC, GameCore, Player, Platform };
+} else {
+  window.GameCore = GameCore;
+}
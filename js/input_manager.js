@@ -0,0 +1,267 @@
+/**
+ * 输入管理器
+ * 把触摸、鼠标、键盘和手柄统一成“按下 / 松开 / 取消 / 暂停”四种动作：
+ * 同一时刻只跟踪一个按下来源，多指触摸时其他手指被忽略，触摸后浏览器补发的鼠标事件被丢弃；
+ * 按住时拖出画布（或拖得太远）、按 Esc 或手柄 B 键取消蓄力。
+ * 按下和松开都带上输入事件的高精度时间戳，蓄力时长按事件发生的时刻计算，而不是按处理它的那一帧
+ */
+
+// 触摸后这段时间内的鼠标事件视为浏览器模拟出来的，直接忽略（毫秒）
+const GHOST_MOUSE_DELAY = 800;
+// 按住后拖动超过这个距离视为取消（逻辑像素）
+const CANCEL_DRAG_DISTANCE = 150;
+
+// 键盘按键
+const PRESS_KEYS = ['Space', 'Enter', 'NumpadEnter'];
+const CANCEL_KEY = 'Escape';
+
+// 手柄按键（标准布局）：A / RT 蓄力，B 取消，Start 暂停
+const GAMEPAD_PRESS_BUTTONS = [0, 7];
+const GAMEPAD_CANCEL_BUTTON = 1;
+const GAMEPAD_PAUSE_BUTTON = 9;
+
+class InputManager {
+  /**
+   * @param {Object} canvas 接收触摸和鼠标事件的画布
+   * @param {Object} actions 动作回调
+   * @param {Function} actions.press 按下，参数为触点（键盘、手柄为 null）和事件时间戳
+   * @param {Function} actions.release 松开，参数同上
+   * @param {Function} actions.cancel 取消正在进行的按下
+   * @param {Function} actions.pause 暂停/继续
+   */
+  constructor(canvas, actions) {
+    this.canvas = canvas;
+    this.actions = actions;
+
+    this.active = null;          // 正在按下的来源 { source, id, startX, startY }
+    this.lastTouchTime = -Infinity;
+    this.gamepadButtons = {};    // 各手柄上一帧的按键状态，用于检测按下/松开的边沿
+  }
+
+  /**
+   * 绑定所有输入源
+   * 微信小游戏只使用 wx 的全局触摸事件，避免适配器转发到画布后同一次触摸触发两次
+   */
+  bind() {
+    if (typeof wx !== 'undefined' && wx.onTouchStart) {
+      wx.onTouchStart((e) => this.handleTouchStart(e));
+      wx.onTouchMove((e) => this.handleTouchMove(e));
+      wx.onTouchEnd((e) => this.handleTouchEnd(e));
+      wx.onTouchCancel((e) => this.handleTouchCancel(e));
+      if (wx.onKeyDown) {
+        wx.onKeyDown((e) => this.handleKeyDown(e));
+        wx.onKeyUp((e) => this.handleKeyUp(e));
+      }
+      return;
+    }
+
+    const listen = (type, handler) => {
+      this.canvas.addEventListener(type, (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handler(e);
+      }, { passive: false });
+    };
+    listen('touchstart', (e) => this.handleTouchStart(e));
+    listen('touchmove', (e) => this.handleTouchMove(e));
+    listen('touchend', (e) => this.handleTouchEnd(e));
+    listen('touchcancel', (e) => this.handleTouchCancel(e));
+
+    // Web环境也绑定鼠标事件作为备用
+    listen('mousedown', (e) => this.handleMouseDown(e));
+    listen('mousemove', (e) => this.handleMouseMove(e));
+    listen('mouseup', (e) => this.handleMouseUp(e));
+    this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+      window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+      // 窗口失去焦点时收不到松开事件，直接取消
+      window.addEventListener('blur', () => this.cancel());
+    }
+  }
+
+  /**
+   * 开始一次按下；已有来源按住时忽略
+   */
+  press(source, id, point, time) {
+    if (this.active) return;
+
+    this.active = {
+      source,
+      id,
+      startX: point ? point.clientX : 0,
+      startY: point ? point.clientY : 0
+    };
+    this.actions.press(point, time);
+  }
+
+  /**
+   * 结束按下，只响应开始这次按下的来源
+   */
+  release(source, id, point, time) {
+    if (!this.active || this.active.source !== source || this.active.id !== id) return;
+
+    this.active = null;
+    this.actions.release(point, time);
+  }
+
+  /**
+   * 取消正在进行的按下，之后这次按下的松开事件被忽略
+   */
+  cancel() {
+    if (!this.active) return;
+
+    this.active = null;
+    this.actions.cancel();
+  }
+
+  /**
+   * 按住时拖出画布或拖得太远则取消
+   */
+  checkDragOff(point) {
+    const rect = this.canvas.getBoundingClientRect
+      ? this.canvas.getBoundingClientRect()
+      : { left: 0, top: 0, right: Infinity, bottom: Infinity };
+    const outside = point.clientX < rect.left || point.clientX > rect.right ||
+      point.clientY < rect.top || point.clientY > rect.bottom;
+    const distance = Math.hypot(point.clientX - this.active.startX, point.clientY - this.active.startY);
+
+    if (outside || distance > CANCEL_DRAG_DISTANCE) {
+      this.cancel();
+    }
+  }
+
+  /**
+   * 在 changedTouches 中找到正在跟踪的那根手指
+   */
+  findActiveTouch(e) {
+    if (!this.active || this.active.source !== 'touch') return null;
+    return Array.from(e.changedTouches || []).find(touch => touch.identifier === this.active.id) || null;
+  }
+
+  handleTouchStart(e) {
+    this.lastTouchTime = Date.now();
+    const touch = e.changedTouches && e.changedTouches[0];
+    if (touch) {
+      this.press('touch', touch.identifier, touch, e.timeStamp);
+    }
+  }
+
+  handleTouchMove(e) {
+    const touch = this.findActiveTouch(e);
+    if (touch) {
+      this.checkDragOff(touch);
+    }
+  }
+
+  handleTouchEnd(e) {
+    this.lastTouchTime = Date.now();
+    const touch = this.findActiveTouch(e);
+    if (touch) {
+      this.release('touch', touch.identifier, touch, e.timeStamp);
+    }
+  }
+
+  handleTouchCancel(e) {
+    this.lastTouchTime = Date.now();
+    if (this.findActiveTouch(e)) {
+      this.cancel();
+    }
+  }
+
+  /**
+   * 是否为触摸后浏览器模拟的鼠标事件
+   */
+  isGhostMouse() {
+    return Date.now() - this.lastTouchTime < GHOST_MOUSE_DELAY;
+  }
+
+  handleMouseDown(e) {
+    if (e.button !== 0 || this.isGhostMouse()) return;
+    this.press('mouse', 0, { clientX: e.clientX, clientY: e.clientY }, e.timeStamp);
+  }
+
+  handleMouseMove(e) {
+    if (this.active && this.active.source === 'mouse') {
+      this.checkDragOff({ clientX: e.clientX, clientY: e.clientY });
+    }
+  }
+
+  handleMouseUp(e) {
+    if (e.button !== 0 || this.isGhostMouse()) return;
+    this.release('mouse', 0, { clientX: e.clientX, clientY: e.clientY }, e.timeStamp);
+  }
+
+  handleMouseLeave() {
+    if (this.active && this.active.source === 'mouse') {
+      this.cancel();
+    }
+  }
+
+  /**
+   * 键盘：空格/回车蓄力，Esc 取消蓄力，没有蓄力时 Esc 暂停
+   */
+  handleKeyDown(e) {
+    const code = e.code || e.key;
+    if (PRESS_KEYS.includes(code)) {
+      if (e.preventDefault) e.preventDefault();
+      if (!e.repeat) {
+        this.press('key', code, null, e.timeStamp);
+      }
+    } else if (code === CANCEL_KEY) {
+      if (this.active) {
+        this.cancel();
+      } else {
+        this.actions.pause();
+      }
+    }
+  }
+
+  handleKeyUp(e) {
+    const code = e.code || e.key;
+    if (PRESS_KEYS.includes(code)) {
+      this.release('key', code, null, e.timeStamp);
+    }
+  }
+
+  /**
+   * 轮询手柄，每帧调用一次（手柄没有事件，只能轮询按键状态，时间戳取手柄状态更新的时刻）
+   */
+  pollGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+
+    Array.from(navigator.getGamepads()).forEach(gamepad => {
+      if (!gamepad) return;
+
+      const previous = this.gamepadButtons[gamepad.index] || [];
+      const current = gamepad.buttons.map(button => button.pressed);
+      const pressed = index => current[index] && !previous[index];
+      const released = index => !current[index] && previous[index];
+
+      GAMEPAD_PRESS_BUTTONS.forEach(index => {
+        const id = `${gamepad.index}:${index}`;
+        if (pressed(index)) {
+          this.press('gamepad', id, null, gamepad.timestamp);
+        } else if (released(index)) {
+          this.release('gamepad', id, null, gamepad.timestamp);
+        }
+      });
+      if (pressed(GAMEPAD_CANCEL_BUTTON)) {
+        this.cancel();
+      }
+      if (pressed(GAMEPAD_PAUSE_BUTTON)) {
+        this.actions.pause();
+      }
+
+      this.gamepadButtons[gamepad.index] = current;
+    });
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { InputManager };
+} else {
+  window.InputManager = InputManager;
+}
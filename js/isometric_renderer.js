@@ -0,0 +1,384 @@
+/**
+ * 等距伪3D渲染器
+ * 与侧视图共用同一个 GameCore：平台列表、着陆判定和计分完全一致，只是换一种画法。
+ * 平台画成有厚度的方块/圆柱，关卡每一步向左或向右拐弯，松鼠在空中翻转并投下影子
+ */
+
+/* global CONFIG, GAME_STATE, PLATFORM_SHAPE, COURSE_AXIS */
+
+// 游戏核心在浏览器中由 <script> 标签以全局变量提供，CommonJS 环境（微信小游戏、Node）下在此加载
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(typeof GameGlobal !== 'undefined' ? GameGlobal : global, require('./game_core.js'));
+}
+
+// 渲染模式
+const RENDER_MODE = {
+  SIDE: 'side',
+  ISOMETRIC: 'isometric'
+};
+
+// 等距投影：地面 X 轴朝右上、Z 轴朝左上，与水平方向成30度
+const ISO_COS = Math.cos(Math.PI / 6);
+const ISO_SIN = 0.5;
+
+class IsometricRenderer {
+  /**
+   * @param {JumpGame} game 提供 core、ctx、画布尺寸、松鼠图片和粒子
+   */
+  constructor(game) {
+    this.game = game;
+
+    // 等距视图自己的摄像机（屏幕坐标），跟随当前平台与下一个平台的中点
+    this.camera = { x: 0, y: 0 };
+    this.prevCamera = { x: 0, y: 0 };
+    this.renderCamera = { x: 0, y: 0 };
+  }
+
+  /**
+   * 新的一局开始时摄像机直接对准目标，不做缓动
+   */
+  reset() {
+    const target = this.getCameraTarget();
+    this.camera.x = target.x;
+    this.camera.y = target.y;
+    this.prevCamera.x = target.x;
+    this.prevCamera.y = target.y;
+  }
+
+  /**
+   * 推进一个固定步长：摄像机缓动
+   */
+  update() {
+    this.prevCamera.x = this.camera.x;
+    this.prevCamera.y = this.camera.y;
+
+    // 游戏结束时保持摄像机静止
+    if (this.game.core.gameState === GAME_STATE.GAME_OVER) {
+      return;
+    }
+
+    const target = this.getCameraTarget();
+    this.camera.x += (target.x - this.camera.x) * 0.08;
+    this.camera.y += (target.y - this.camera.y) * 0.08;
+  }
+
+  /**
+   * 摄像机目标：当前平台与下一个平台连线的中点位于画面中下方
+   */
+  getCameraTarget() {
+    const core = this.game.core;
+    const index = core.platforms.indexOf(core.currentPlatform);
+    const current = this.projectPlatformTop(core.currentPlatform);
+    const next = core.platforms[index + 1] ? this.projectPlatformTop(core.platforms[index + 1]) : current;
+
+    return {
+      x: (current.x + next.x) / 2 - this.game.logicalWidth / 2,
+      y: (current.y + next.y) / 2 - this.game.logicalHeight * 0.6
+    };
+  }
+
+  /**
+   * 地面坐标 + 离地高度 投影到屏幕（世界）坐标
+   */
+  project(groundX, groundZ, height) {
+    return {
+      x: (groundX - groundZ) * ISO_COS,
+      y: -(groundX + groundZ) * ISO_SIN - height
+    };
+  }
+
+  /**
+   * 侧视图中的高度（y 坐标）换算为离地高度
+   */
+  toHeight(y) {
+    return CONFIG.GROUND_Y - y;
+  }
+
+  projectPlatformTop(platform) {
+    return this.project(platform.groundX, platform.groundZ, this.toHeight(platform.y));
+  }
+
+  /**
+   * 航段坐标（沿航段位置、侧视图 y、横向偏移）投影到屏幕，粒子、轨迹预览等特效使用
+   * @param {Object} frame 坐标所在的航段，默认为玩家当前所在航段
+   */
+  projectCourse(x, y, lateral = 0, frame) {
+    const ground = this.game.core.getGroundPoint(x, lateral, frame);
+    return this.project(ground.x, ground.z, this.toHeight(y));
+  }
+
+  /**
+   * 渲染等距视图的世界部分（背景、平台、玩家、粒子），界面由 JumpGame 统一绘制
+   * @param {number} alpha 距下一个模拟步的插值比例（0-1）
+   */
+  render(alpha) {
+    const game = this.game;
+    const ctx = game.ctx;
+
+    this.renderCamera.x = this.prevCamera.x + (this.camera.x - this.prevCamera.x) * alpha;
+    this.renderCamera.y = this.prevCamera.y + (this.camera.y - this.prevCamera.y) * alpha;
+
+    this.renderBackground();
+
+    ctx.save();
+    ctx.translate(-this.renderCamera.x, -this.renderCamera.y);
+
+    // 画家算法：由远到近绘制平台，玩家插在其所在深度
+    const player = game.core.player;
+    const centerX = player.prevX + (player.x - player.prevX) * alpha + CONFIG.PLAYER_SIZE / 2;
+    const lateral = player.prevLateral + (player.lateral - player.prevLateral) * alpha;
+    const playerGround = game.core.getGroundPoint(centerX, lateral);
+    const playerDepth = playerGround.x + playerGround.z;
+
+    const platforms = game.core.platforms.slice().sort((a, b) =>
+      (b.groundX + b.groundZ) - (a.groundX + a.groundZ)
+    );
+    const isBehind = platform =>
+      platform.groundX + platform.groundZ + platform.getHalfFootprint() + platform.getHalfDepth() >= playerDepth;
+
+    platforms.filter(isBehind).forEach(platform => this.renderPlatform(platform));
+    this.renderShadow(centerX, lateral, playerGround);
+    this.renderPlayer(alpha, playerGround);
+    platforms.filter(platform => !isBehind(platform)).forEach(platform => this.renderPlatform(platform));
+
+    // 橡果、轨迹预览和奖励倒计时画在所有物体之上，不参与深度排序
+    game.renderAcorns((x, y, lateral, frame) => this.projectCourse(x, y, lateral, frame));
+    game.renderTrajectory((x, y, lateral, frame) => this.projectCourse(x, y, lateral, frame));
+    game.renderBonusCountdown((x, y, lateral) => this.projectCourse(x, y, lateral));
+
+    game.particles.forEach(particle => particle.render(ctx, alpha));
+
+    ctx.restore();
+  }
+
+  /**
+   * 背景：主题的浅色天空渐变，等距视图不画视差装饰，突出平台
+   */
+  renderBackground() {
+    const game = this.game;
+    game.renderThemeBackground(theme => {
+      game.ctx.fillStyle = game.background.getGradient(game.ctx, `${theme.name}:isometric`, game.logicalHeight, theme.isometricSky);
+      game.ctx.fillRect(0, 0, game.logicalWidth, game.logicalHeight);
+      game.renderSkyTint(0, 0);
+    });
+  }
+
+  /**
+   * 渲染平台：圆形树桩画成圆柱，木箱和原木画成方块
+   */
+  renderPlatform(platform) {
+    const ctx = this.game.ctx;
+    const renderer = this.game.getPlatformRenderer(platform);
+    const effect = this.game.getPlatformEffect(platform);
+    if (effect.alpha <= 0) return;
+
+    ctx.save();
+    ctx.translate(effect.shake, 0);
+    ctx.globalAlpha = effect.alpha;
+
+    const top = this.toHeight(platform.y);
+    const bottom = this.toHeight(platform.getBodyBottom());
+    const along = platform.getHalfFootprint();
+    const across = platform.getHalfDepth();
+    const colors = this.game.getTheme().platform;
+
+    // 朝向镜头的最近一点（方块的前角、圆柱的正前方），平台徽章画在这里
+    let front;
+    if (platform.shape === PLATFORM_SHAPE.ROUND) {
+      this.renderCylinder(platform.groundX, platform.groundZ, platform.width / 2, top, bottom, colors);
+      const offset = platform.width / 2 * Math.SQRT1_2;
+      front = { x: platform.groundX - offset, z: platform.groundZ - offset };
+    } else {
+      // 方块沿航段方向的半长是 along，横向半宽是 across
+      const halfX = platform.axis === COURSE_AXIS.X ? along : across;
+      const halfZ = platform.axis === COURSE_AXIS.X ? across : along;
+      const isLog = platform.shape === PLATFORM_SHAPE.LOG;
+      this.renderBlock(platform.groundX, platform.groundZ, halfX, halfZ, top, bottom, {
+        top: isLog ? colors.logSurface : colors.surface,
+        left: platform.axis === COURSE_AXIS.X && isLog ? colors.cut : colors.soil,
+        right: platform.axis === COURSE_AXIS.Z && isLog ? colors.cut : colors.bark
+      });
+      front = { x: platform.groundX - halfX, z: platform.groundZ - halfZ };
+    }
+
+    // 平台类型的附加绘制（弹簧等）和正面徽章
+    if (renderer.isometric) {
+      renderer.isometric(this, platform);
+    }
+    const badge = this.project(front.x, front.z, top - platform.height / 2);
+    this.game.renderPlatformBadge(badge.x, badge.y, platform);
+
+    // 中心点标记（用于完美着陆）和上方等待拾取的道具
+    const center = this.projectPlatformTop(platform);
+    ctx.fillStyle = '#FFF';
+    ctx.beginPath();
+    ctx.ellipse(center.x, center.y, 3, 1.5, 0, 0, Math.PI * 2);
+    ctx.fill();
+    if (platform.powerUp) {
+      this.game.renderPowerUpItem(center.x, center.y - 30, platform.powerUp);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * 绘制方块：顶面 + 朝向镜头的两个侧面（-X 面在左下，-Z 面在右下），背光的侧面按光照变暗
+   */
+  renderBlock(groundX, groundZ, halfX, halfZ, top, bottom, colors) {
+    const { x: lightX, strength } = this.game.daylight.light;
+    const ctx = this.game.ctx;
+    const corner = (dx, dz, height) => this.project(groundX + dx * halfX, groundZ + dz * halfZ, height);
+    const fillPolygon = (points, color) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.closePath();
+      ctx.fill();
+    };
+
+    const leftFace = [corner(-1, -1, top), corner(-1, 1, top), corner(-1, 1, bottom), corner(-1, -1, bottom)];
+    const rightFace = [corner(-1, -1, top), corner(1, -1, top), corner(1, -1, bottom), corner(-1, -1, bottom)];
+    fillPolygon(leftFace, colors.left);
+    fillPolygon(rightFace, colors.right);
+    fillPolygon([corner(-1, -1, top), corner(1, -1, top), corner(1, 1, top), corner(-1, 1, top)], colors.top);
+
+    // 光从右边照来时左下的面背光，反之右下的面背光
+    if (strength > 0) {
+      fillPolygon(lightX > 0 ? leftFace : rightFace, `rgba(0, 0, 0, ${strength})`);
+    }
+  }
+
+  /**
+   * 绘制圆柱形树桩：侧面 + 椭圆截面和年轮
+   * @param {Object} colors 主题的平台配色
+   */
+  renderCylinder(groundX, groundZ, radius, top, bottom, colors) {
+    const ctx = this.game.ctx;
+    const topCenter = this.project(groundX, groundZ, top);
+    const bottomCenter = this.project(groundX, groundZ, bottom);
+    const radiusX = radius * Math.SQRT2 * ISO_COS;
+    const radiusY = radius * Math.SQRT2 * ISO_SIN;
+
+    // 侧面：两条竖线加底部半个椭圆，背光的一侧渐渐变暗
+    ctx.fillStyle = colors.soil;
+    ctx.beginPath();
+    ctx.moveTo(topCenter.x - radiusX, topCenter.y);
+    ctx.lineTo(bottomCenter.x - radiusX, bottomCenter.y);
+    ctx.ellipse(bottomCenter.x, bottomCenter.y, radiusX, radiusY, 0, Math.PI, 0, true);
+    ctx.lineTo(topCenter.x + radiusX, topCenter.y);
+    ctx.closePath();
+    ctx.fill();
+
+    const { x: lightX, strength } = this.game.daylight.light;
+    if (strength > 0) {
+      const litX = topCenter.x + (lightX < 0 ? -radiusX : radiusX);
+      const shading = ctx.createLinearGradient(litX, 0, topCenter.x * 2 - litX, 0);
+      shading.addColorStop(0, 'rgba(0, 0, 0, 0)');
+      shading.addColorStop(1, `rgba(0, 0, 0, ${strength})`);
+      ctx.fillStyle = shading;
+      ctx.fill();
+    }
+
+    // 截面
+    ctx.fillStyle = colors.cut;
+    ctx.beginPath();
+    ctx.ellipse(topCenter.x, topCenter.y, radiusX, radiusY, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 年轮
+    ctx.strokeStyle = colors.rings;
+    ctx.lineWidth = 1;
+    for (let i = 1; i <= 3; i++) {
+      ctx.beginPath();
+      ctx.ellipse(topCenter.x, topCenter.y, radiusX * i / 4, radiusY * i / 4, 0, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * 渲染弹簧：顶面中心竖立的粉色弹簧圈，落上去后按压缩进度被压扁
+   */
+  renderSpring(platform) {
+    const ctx = this.game.ctx;
+    const pending = this.game.core.pendingSpring;
+    const compression = pending && pending.platform === platform
+      ? 1 - pending.steps / CONFIG.SPRING_DELAY
+      : 0;
+
+    const base = this.projectPlatformTop(platform);
+    const coilWidth = platform.width * 0.3;
+    const coilHeight = 14 * (1 - compression * 0.6);
+
+    ctx.strokeStyle = '#C71585';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const turns = 4;
+    for (let i = 0; i <= turns * 2; i++) {
+      const px = base.x + (i % 2 === 0 ? -coilWidth / 2 : coilWidth / 2);
+      const py = base.y - (coilHeight * i) / (turns * 2);
+      if (i === 0) {
+        ctx.moveTo(px, py);
+      } else {
+        ctx.lineTo(px, py);
+      }
+    }
+    ctx.stroke();
+
+    // 顶板
+    ctx.fillStyle = '#FF69B4';
+    ctx.beginPath();
+    ctx.ellipse(base.x, base.y - coilHeight, coilWidth * 0.7, coilWidth * 0.35, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * 影子：投在玩家正下方最高的平台顶面或地面上，离得越高越小越淡
+   */
+  renderShadow(centerX, lateral, playerGround) {
+    const core = this.game.core;
+    const feetY = core.player.y + CONFIG.PLAYER_SIZE;
+
+    let surfaceY = CONFIG.GROUND_Y;
+    core.getLegPlatforms().forEach(platform => {
+      if (platform.y >= feetY - 1 && platform.y < surfaceY && platform.contains(centerX, lateral)) {
+        surfaceY = platform.y;
+      }
+    });
+
+    const gap = Math.max(0, surfaceY - feetY);
+    const scale = Math.max(0.4, 1 - gap / 300);
+    const point = this.project(playerGround.x, playerGround.z, this.toHeight(surfaceY));
+
+    const ctx = this.game.ctx;
+    ctx.fillStyle = `rgba(0, 0, 0, ${0.25 * scale})`;
+    ctx.beginPath();
+    ctx.ellipse(point.x, point.y, 18 * scale, 9 * scale, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * 渲染玩家：脚底对准地面投影点，朝前进方向
+   */
+  renderPlayer(alpha, playerGround) {
+    const game = this.game;
+    const core = game.core;
+    const player = core.player;
+    const ctx = game.ctx;
+    const size = player.size * 0.8;
+
+    const y = player.prevY + (player.y - player.prevY) * alpha;
+    const feet = this.project(playerGround.x, playerGround.z, this.toHeight(y + CONFIG.PLAYER_SIZE));
+    const facing = core.playerFrame.axis === COURSE_AXIS.X ? 1 : -1;
+
+    // 姿态（蓄力压扁、空中翻跟头等）由动画状态机决定，沿 Z 方向前进时镜像
+    game.renderSquirrel(ctx, feet.x, feet.y, size, facing, alpha);
+    game.renderPlayerAura(feet.x, feet.y - size / 2, size * 0.6);
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RENDER_MODE, IsometricRenderer };
+} else {
+  window.RENDER_MODE = RENDER_MODE;
+  window.IsometricRenderer = IsometricRenderer;
+}
@@ -1,79 +1,258 @@
 /**
  * 跳一跳游戏主类
- * 实现物理引擎、平台生成、碰撞检测等核心功能
+ * Canvas 渲染器与输入、音频外壳，模拟逻辑由 GameCore 负责
  */
 
 // 音频管理器将通过全局变量访问
 
-// 游戏常量配置
-const CONFIG = {
-  // 物理参数
-  GRAVITY: 0.6,
-  JUMP_FORCE: 15,
-  MIN_POWER: 0.3,
-  MAX_POWER: 1.0,
-  
-  // 平台参数
-  PLATFORM_WIDTH: 80,
-  PLATFORM_HEIGHT: 20,
-  BASE_DISTANCE: 100,
-  DIFFICULTY_FACTOR: 1.5,
-  
-  // 玩家参数
-  PLAYER_SIZE: 90,
-  PLAYER_COLOR: '#FF6B6B',
-  
-  // 游戏参数
-  GROUND_Y: 300,  // 横屏时调整地面高度
-  PERFECT_TOLERANCE: 5,
-  
-  // 特效参数
-  PARTICLE_COUNT: 8,
-  PARTICLE_LIFE: 30
+/* global SeededRandom, createRandomSeed, getDailySeed, getDailyChallengeDate, CONFIG, GAME_STATE, PLATFORM_TYPE, PLATFORM_SHAPE, COURSE_LAYOUT, CHARGE_CURVE, BONUS_KIND, POWER_UP, GameCore, RENDER_MODE, IsometricRenderer, ReplayRecorder, ReplayPlayer, GameStorage, PlayerStats, createLeaderboard, InputManager, SquirrelAnimator, SKIN_SPEC, SkinManager, THEME, THEME_AUTO, THEME_SPEC, getThemeForScore, getDaylight,
+   PARALLAX_TILE_WIDTH, ParallaxBackground, hashSeed */
+
+// 依赖模块在浏览器中由 <script> 标签以全局变量提供，CommonJS 环境（微信小游戏、Node）下在此加载
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(typeof GameGlobal !== 'undefined' ? GameGlobal : global, require('./seeded_random.js'), require('./game_core.js'), require('./isometric_renderer.js'), require('./replay.js'), require('./storage.js'), require('./player_stats.js'), require('./leaderboard.js'), require('./input_manager.js'), require('./squirrel_animator.js'), require('./skin_manager.js'), require('./themes.js'), require('./day_cycle.js'), require('./parallax_background.js'));
+}
+
+// 玩家偏好设置的存储键
+const PREFERENCES_STORAGE_KEY = 'jump_game.preferences';
+
+// 指定种子和每日挑战使用固定的模拟参数和视口，不同屏幕上的关卡和手感完全一致，只缩放画面；
+// 随机关卡仍按屏幕调整参数
+const DEFAULT_CONFIG = Object.assign({}, CONFIG);
+const FIXED_COURSE_VIEW = { width: 800, height: 450 };
+const FIXED_COURSE_CONFIG = Object.assign({}, DEFAULT_CONFIG, { GROUND_Y: FIXED_COURSE_VIEW.height * 0.75 });
+
+// 轨迹预览模式：完整显示到落点、只显示起跳后的一段、关闭（竞技）
+const TRAJECTORY_PREVIEW = {
+  FULL: 'full',
+  PARTIAL: 'partial',
+  OFF: 'off'
+};
+const TRAJECTORY_PREVIEW_LABELS = {
+  [TRAJECTORY_PREVIEW.FULL]: '完整',
+  [TRAJECTORY_PREVIEW.PARTIAL]: '部分',
+  [TRAJECTORY_PREVIEW.OFF]: '关闭'
+};
+const PARTIAL_PREVIEW_RATIO = 0.35;  // 部分预览显示的轨迹比例
+
+const CHARGE_CURVE_LABELS = {
+  [CHARGE_CURVE.LINEAR]: '线性',
+  [CHARGE_CURVE.EASED]: '缓动',
+  [CHARGE_CURVE.OSCILLATING]: '往复'
+};
+
+// 奖励平台的徽章图标、主色和粒子颜色
+const BONUS_KIND_STYLE = {
+  [BONUS_KIND.MUSIC_BOX]: { icon: '🎵', color: '#FF8FB1', particle: '255, 143, 177' },
+  [BONUS_KIND.STORE]: { icon: '🏪', color: '#FFB300', particle: '255, 215, 0' },
+  [BONUS_KIND.WELL]: { icon: '💧', color: '#4FA3E0', particle: '100, 180, 255' }
+};
+const BONUS_POPUP_LIFE = 60;  // “+N”飘字持续的步数
+
+const CRUMBLE_FADE_TIME = 400;  // 碎裂平台塌落后淡出的时间（毫秒）
+
+const ACORN_BOB_PERIOD = 1200;  // 橡果上下浮动一次的时间（毫秒）
+
+// 道具的图标、名称、主色和粒子颜色
+const POWER_UP_STYLE = {
+  [POWER_UP.SLOW_MOTION]: { icon: '⏳', label: '慢动作', color: '#7E57C2', particle: '126, 87, 194' },
+  [POWER_UP.MAGNET]: { icon: '🧲', label: '磁铁', color: '#E53935', particle: '229, 57, 53' },
+  [POWER_UP.SHIELD]: { icon: '🛡️', label: '护盾', color: '#42A5F5', particle: '66, 165, 245' },
+  [POWER_UP.DOUBLE_SCORE]: { icon: '×2', label: '双倍得分', color: '#FFB300', particle: '255, 179, 0' }
+};
+
+/**
+ * 平台类型的外观注册表，与 GameCore 的 PLATFORM_TYPE_SPEC 对应，侧视图和等距视图都从这里读取，没有登记的类型只画主体
+ *   badge(platform)            平台正面徽章的图标和主色 { icon, color }
+ *   side(game, platform)       侧视图中在平台主体之上的附加绘制
+ *   isometric(iso, platform)   等距视图中在平台主体之上的附加绘制
+ *   effect(game, platform)     整个平台的抖动偏移和透明度 { shake, alpha }
+ */
+const PLATFORM_TYPE_RENDERERS = {
+  [PLATFORM_TYPE.BONUS]: {
+    badge: platform => BONUS_KIND_STYLE[platform.bonusKind]
+  },
+  [PLATFORM_TYPE.SPRING]: {
+    side: (game, platform) => game.renderSpring(platform),
+    isometric: (iso, platform) => iso.renderSpring(platform)
+  },
+  [PLATFORM_TYPE.MOVING]: {
+    badge: () => ({ icon: '↔', color: '#29B6F6' })
+  },
+  [PLATFORM_TYPE.SHRINKING]: {
+    badge: () => ({ icon: '><', color: '#AB47BC' })
+  },
+  [PLATFORM_TYPE.CRUMBLING]: {
+    badge: () => ({ icon: '⚠', color: '#FF7043' }),
+    effect: (game, platform) => game.getCrumbleEffect(platform)
+  }
 };
 
-// 游戏状态枚举
-const GAME_STATE = {
-  START: 'start',
-  CHARGING: 'charging',
-  JUMPING: 'jumping',
-  GAME_OVER: 'game_over'
+/**
+ * 背景图层的画法，主题在 THEME_SPEC.layers 中按名字引用（见 themes.js）
+ */
+const BACKGROUND_LAYER_RENDERERS = {
+  clouds: (game, theme) => game.renderParallaxLayer('clouds', theme),  // 云朵
+  trees: (game, theme) => game.renderParallaxLayer('trees', theme),    // 远景树木
+  pines: (game, theme) => game.renderParallaxLayer('pines', theme),    // 积雪的松树
+  cacti: (game, theme) => game.renderParallaxLayer('cacti', theme),    // 仙人掌
+  sun: (game, theme) => game.renderSunlight(theme),                // 太阳和光线
+  moon: game => game.renderMoon(game.getSkyPosition(0.75)),         // 月亮
+  stars: game => game.renderStars(),                               // 闪烁的星星
+  butterflies: game => game.renderButterflies(),                   // 飞舞的蝴蝶
+  flowers: game => game.renderFlowers(),                           // 飞舞的花朵
+  leaves: game => game.renderFloatingLeaves(),                     // 飘落的叶子
+  bubbles: game => game.renderBubbles(),                           // 气泡
+  snow: game => game.renderSnowfall(),                             // 飘雪
+  dust: game => game.renderSandDust(),                             // 随风飘动的沙尘
+  fireflies: game => game.renderFireflies()                        // 萤火虫
+};
+
+/**
+ * 缓存在离屏图块上的静态远景图层（见 parallax_background.js），在上面的 BACKGROUND_LAYER_RENDERERS 中注册
+ *   factor    视差系数：摄像机移动 1 像素时图层移动的距离，越远越小
+ *   drift     随时间向右飘动的速度（像素/秒）
+ *   anchor    'top' 图块顶边在画面顶部以下 offset 处，'bottom' 图块底边在画面底部以上 offset 处
+ *   height    图块高度
+ *   spacing   图块中物体的间距，图块宽度是它的整数倍
+ *   draw      (game, ctx, colors, x, y, seed) 画一个物体：(x, y) 为它的底部中点（云为中心点），seed 为 0-1 的稳定随机数
+ */
+const PARALLAX_LAYERS = {
+  clouds: {
+    factor: 0.1,
+    drift: 15,
+    anchor: 'top',
+    offset: 20,
+    height: 130,
+    spacing: 256,
+    draw: (game, ctx, colors, x, y, seed) => game.drawCloud(ctx, colors, x, y, seed)
+  },
+  trees: {
+    factor: 0.6,
+    anchor: 'bottom',
+    offset: 50,
+    height: 110,
+    spacing: 128,
+    draw: (game, ctx, colors, x, y, seed) => game.drawBackgroundTree(ctx, colors, x, y, seed)
+  },
+  pines: {
+    factor: 0.6,
+    anchor: 'bottom',
+    offset: 50,
+    height: 110,
+    spacing: 128,
+    draw: (game, ctx, colors, x, y, seed) => game.drawPineTree(ctx, colors, x, y, seed)
+  },
+  cacti: {
+    factor: 0.5,
+    anchor: 'bottom',
+    offset: 50,
+    height: 100,
+    spacing: 256,
+    draw: (game, ctx, colors, x, y, seed) => game.drawCactus(ctx, colors, x, y, seed)
+  }
 };
 
-// 平台类型
-const PLATFORM_TYPE = {
-  NORMAL: 'normal',
-  BONUS: 'bonus',
-  SPRING: 'spring'
+/**
+ * 平台顶面小装饰的画法，主题在 THEME_SPEC.decoration 中按名字引用
+ */
+const PLATFORM_DECORATION_RENDERERS = {
+  forest: (game, platform) => game.renderForestDecoration(platform, false),  // 蘑菇、树苗和落叶
+  glow: (game, platform) => game.renderForestDecoration(platform, true),     // 夜里发光的蘑菇
+  snow: (game, platform) => game.renderSnowDecoration(platform),             // 积雪和冰凌
+  sand: (game, platform) => game.renderSandDecoration(platform)              // 石子和小仙人掌
 };
 
+const THEME_FADE_TIME = 1000;  // 切换主题时新背景淡入的时间（毫秒）
+
+// 同一帧中最多画出的视差图层数：缓存图层最多的主题，切换主题淡入时新旧主题各画一遍
+const MAX_PARALLAX_LAYERS = 2 * Math.max(...Object.keys(THEME_SPEC).map(name =>
+  THEME_SPEC[name].layers.filter(layer => PARALLAX_LAYERS[layer]).length));
+
 class JumpGame {
-  constructor() {
+  /**
+   * @param {Object} options 可选配置
+   * @param {number|string} options.seed 固定随机种子，用于复现关卡
+   * @param {boolean} options.daily 是否为每日挑战模式
+   * @param {string} options.view 渲染模式，RENDER_MODE.SIDE（默认）或 RENDER_MODE.ISOMETRIC
+   */
+  constructor(options = {}) {
     this.canvas = null;
     this.ctx = null;
-    this.gameState = GAME_STATE.START;
     
-    // 游戏对象
-    this.player = null;
-    this.platforms = [];
-    this.particles = [];
+    // 渲染模式：侧视图或等距视图，等距视图下关卡会拐弯
+    this.renderMode = options.view === RENDER_MODE.ISOMETRIC ? RENDER_MODE.ISOMETRIC : RENDER_MODE.SIDE;
     
-    // 游戏数据
-    this.score = 0;
-    this.combo = 0;
-    this.camera = { x: 0, y: 0 };
+    // 游戏核心（玩家、平台、计分、状态机）
+    this.core = new GameCore({ layout: this.getCourseLayout() });
+    this.isoRenderer = new IsometricRenderer(this);
+    this.animator = new SquirrelAnimator(this.core);
     
-    // 输入控制
-    this.touchStartTime = 0;
-    this.chargePower = 0;
-    this.isCharging = false;
+    // 回放：每局自动录制；播放回放时由 replayPlayer 驱动核心
+    this.recorder = new ReplayRecorder(this.core);
+    this.replayPlayer = null;
+    this.savedSettings = null;  // 播放回放前的渲染模式，退出回放时恢复（模拟参数在重新开始时按模式重新确定）
     
-    // 动画帧
+    // 持久化存储与玩家统计
+    this.storage = new GameStorage();
+    this.stats = new PlayerStats(this.core, this.storage);
+    
+    // 玩家偏好设置，本局是否用过辅助（轨迹预览模式，未使用为 null）
+    this.preferences = Object.assign(
+      { trajectoryPreview: TRAJECTORY_PREVIEW.OFF, chargeCurve: CHARGE_CURVE.LINEAR, theme: THEME_AUTO },
+      this.storage.get(PREFERENCES_STORAGE_KEY, {})
+    );
+    this.core.setChargeCurve(this.preferences.chargeCurve);
+    this.aidUsed = null;
+    
+    // 画面主题（THEME）和切换时旧主题的淡出 { from, startTime }
+    this.theme = null;
+    this.themeFade = null;
+    this.updateTheme();
+    this.daylight = getDaylight(null);  // 当前的昼夜光照（见 day_cycle.js）
+    this.background = new ParallaxBackground();  // 远景图块、装饰贴图和天空渐变的缓存
+    
+    // 角色皮肤：解锁进度来自玩家统计，碰撞盒宽度交给核心
+    this.skins = new SkinManager(this.core, this.stats, this.storage);
+    this.core.setHitboxScale(this.skins.getSelected().hitbox);
+    
+    // 好友排行榜（微信开放数据域或浏览器中的模拟实现），不可用时为 null
+    this.leaderboard = createLeaderboard(this.storage);
+    
+    // 游戏结束界面上打开的面板（'stats' | 'leaderboard' | 'skins'）、按钮区域和角色选择卡片区域
+    this.gameOverPanel = null;
+    this.gameOverButtons = [];
+    this.skinCards = [];
+    
+    // 暂停界面（'menu' | 'settings'）、其上的按钮区域和游戏中的暂停按钮区域
+    this.pauseView = null;
+    this.pauseButtons = [];
+    this.pauseButton = null;
+    
+    // 表现层对象
+    this.particles = [];
+    this.renderCamera = { x: 0, y: 0 };  // 渲染时插值后的摄像机位置
+    this.skinImages = {};  // 各皮肤的角色图片，加载失败的不在其中
+    
+    // 随机种子：每日挑战使用日期种子，指定种子时每局都复现同一关卡
+    this.isDailyChallenge = !!options.daily;
+    this.fixedSeed = options.seed !== undefined && options.seed !== null
+      ? SeededRandom.normalizeSeed(options.seed)
+      : null;
+    this.seed = 0;
+    this.effectRng = null;  // 装饰效果（粒子等），与关卡生成互不影响
+    
+    // 动画帧与固定步长循环
     this.animationId = null;
+    this.accumulator = 0;
+    this.lastFrameTime = null;
     
     // 音频管理器（延迟初始化）
     this.audioManager = null;
     
+    // 统一的输入层（触摸、鼠标、键盘、手柄）
+    this.input = null;
+    
     // 手机端功能
     this.enableVibration = false;
   }
@@ -96,9 +275,12 @@ class JumpGame {
       this.audioManager = null;
     }
     
+    this.loadSkinImages();
+    this.bindCoreEvents();
     this.setupCanvas();
     this.initGameObjects();
     this.bindEvents();
+    this.bindLifecycleEvents();
     this.startGameLoop();
   }
 
@@ -112,8 +294,9 @@ class JumpGame {
     // 获取设备像素比，确保高清显示
     const dpr = window.devicePixelRatio || 1;
     
-    // 计算最佳画布尺寸
+    // 计算最佳画布尺寸，随机关卡的模拟参数按屏幕调整
     let canvasWidth, canvasHeight;
+    const tuning = {};
     
     if (typeof wx !== 'undefined' && wx.getSystemInfoSync) {
       // 微信小游戏环境
@@ -142,39 +325,39 @@ class JumpGame {
           // 根据屏幕比例调整游戏参数
           if (screenRatio > 2.0) {
             // 超宽屏手机（如折叠屏）
-            CONFIG.BASE_DISTANCE = Math.max(180, screenWidth * 0.08);
-            CONFIG.PLATFORM_WIDTH = Math.max(100, screenWidth * 0.05);
-            CONFIG.JUMP_FORCE = 25;
-            CONFIG.PLAYER_SIZE = Math.max(60, screenHeight * 0.08);
-            CONFIG.GRAVITY = 0.8;
+            tuning.BASE_DISTANCE = Math.max(180, screenWidth * 0.08);
+            tuning.PLATFORM_WIDTH = Math.max(100, screenWidth * 0.05);
+            tuning.JUMP_FORCE = 25;
+            tuning.PLAYER_SIZE = Math.max(60, screenHeight * 0.08);
+            tuning.GRAVITY = 0.8;
           } else if (screenRatio > 1.8) {
             // 标准横屏手机
-            CONFIG.BASE_DISTANCE = Math.max(150, screenWidth * 0.1);
-            CONFIG.PLATFORM_WIDTH = Math.max(90, screenWidth * 0.06);
-            CONFIG.JUMP_FORCE = 22;
-            CONFIG.PLAYER_SIZE = Math.max(55, screenHeight * 0.09);
-            CONFIG.GRAVITY = 0.75;
+            tuning.BASE_DISTANCE = Math.max(150, screenWidth * 0.1);
+            tuning.PLATFORM_WIDTH = Math.max(90, screenWidth * 0.06);
+            tuning.JUMP_FORCE = 22;
+            tuning.PLAYER_SIZE = Math.max(55, screenHeight * 0.09);
+            tuning.GRAVITY = 0.75;
           } else {
             // 较窄的横屏手机
-            CONFIG.BASE_DISTANCE = Math.max(120, screenWidth * 0.12);
-            CONFIG.PLATFORM_WIDTH = Math.max(80, screenWidth * 0.07);
-            CONFIG.JUMP_FORCE = 20;
-            CONFIG.PLAYER_SIZE = Math.max(50, screenHeight * 0.1);
-            CONFIG.GRAVITY = 0.7;
+            tuning.BASE_DISTANCE = Math.max(120, screenWidth * 0.12);
+            tuning.PLATFORM_WIDTH = Math.max(80, screenWidth * 0.07);
+            tuning.JUMP_FORCE = 20;
+            tuning.PLAYER_SIZE = Math.max(50, screenHeight * 0.1);
+            tuning.GRAVITY = 0.7;
           }
           
           // 手机横屏特殊优化
-          CONFIG.GROUND_Y = this.logicalHeight * 0.85; // 地面位置更低
-          CONFIG.PERFECT_TOLERANCE = 8; // 增加完美着陆容差
+          tuning.GROUND_Y = screenHeight * 0.85; // 地面位置更低
+          tuning.PERFECT_TOLERANCE = 8; // 增加完美着陆容差
                  } else {
            // 竖屏模式：优化为竖屏游戏体验
-           CONFIG.BASE_DISTANCE = Math.max(80, screenWidth * 0.15);
-           CONFIG.PLATFORM_WIDTH = Math.max(60, screenWidth * 0.08);
-           CONFIG.JUMP_FORCE = 18;
-           CONFIG.PLAYER_SIZE = Math.max(40, screenHeight * 0.08);
-           CONFIG.GRAVITY = 0.65;
-           CONFIG.GROUND_Y = this.logicalHeight * 0.85;
-           CONFIG.PERFECT_TOLERANCE = 6;
+           tuning.BASE_DISTANCE = Math.max(80, screenWidth * 0.15);
+           tuning.PLATFORM_WIDTH = Math.max(60, screenWidth * 0.08);
+           tuning.JUMP_FORCE = 18;
+           tuning.PLAYER_SIZE = Math.max(40, screenHeight * 0.08);
+           tuning.GRAVITY = 0.65;
+           tuning.GROUND_Y = screenHeight * 0.85;
+           tuning.PERFECT_TOLERANCE = 6;
          }
       } else {
         // 桌面设备：模拟手机横屏体验
@@ -183,11 +366,11 @@ class JumpGame {
         
         // 桌面横屏优化
         if (isLandscape && screenWidth > 1024) {
-          CONFIG.BASE_DISTANCE = 160;
-          CONFIG.PLATFORM_WIDTH = 120;
-          CONFIG.JUMP_FORCE = 22;
-          CONFIG.PLAYER_SIZE = 80;
-          CONFIG.GRAVITY = 0.7;
+          tuning.BASE_DISTANCE = 160;
+          tuning.PLATFORM_WIDTH = 120;
+          tuning.JUMP_FORCE = 22;
+          tuning.PLAYER_SIZE = 80;
+          tuning.GRAVITY = 0.7;
         }
       }
     }
@@ -200,32 +383,54 @@ class JumpGame {
     this.canvas.style.width = canvasWidth + 'px';
     this.canvas.style.height = canvasHeight + 'px';
     
-    // 缩放绘图上下文以适应设备像素比
-    this.ctx.scale(dpr, dpr);
-    
-    // 存储逻辑尺寸供游戏逻辑使用
-    this.logicalWidth = canvasWidth;
-    this.logicalHeight = canvasHeight;
-    
     // 根据屏幕方向调整地面高度
     const isLandscape = canvasWidth > canvasHeight;
     const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     
     if (isMobile && isLandscape) {
       // 手机横屏：地面位置更低，留出更多游戏空间
-      CONFIG.GROUND_Y = this.logicalHeight * 0.85;
+      tuning.GROUND_Y = canvasHeight * 0.85;
     } else if (isLandscape) {
       // 桌面横屏
-      CONFIG.GROUND_Y = this.logicalHeight * 0.75;
+      tuning.GROUND_Y = canvasHeight * 0.75;
     } else {
       // 竖屏模式
-      CONFIG.GROUND_Y = this.logicalHeight * 0.8;
+      tuning.GROUND_Y = canvasHeight * 0.8;
     }
     
+    this.pixelRatio = dpr;
+    this.screenWidth = canvasWidth;
+    this.screenHeight = canvasHeight;
+    this.deviceConfig = Object.assign({}, DEFAULT_CONFIG, tuning);
+    this.applyViewport();
+    
     // 监听窗口大小变化和屏幕方向变化
     this.setupResizeHandler();
   }
 
+  /**
+   * 确定模拟使用的参数和视口，并缩放画面使整个视口可见
+   * 随机关卡使用按屏幕调整的参数和屏幕尺寸；指定种子和每日挑战使用固定的参数和视口；回放使用录制时的参数和视口
+   */
+  applyViewport() {
+    if (!this.replayPlayer) {
+      const fixedCourse = this.isDailyChallenge || this.fixedSeed !== null;
+      Object.assign(CONFIG, fixedCourse ? FIXED_COURSE_CONFIG : this.deviceConfig);
+      
+      // 同步核心的视口尺寸（已有对象按比例缩放）
+      const view = fixedCourse ? FIXED_COURSE_VIEW : { width: this.screenWidth, height: this.screenHeight };
+      this.core.setViewSize(view.width, view.height);
+    }
+    
+    // 缩放绘图上下文以适应设备像素比和视口，逻辑尺寸为缩放后画面对应的世界尺寸
+    const scale = Math.min(this.screenWidth / this.core.viewWidth, this.screenHeight / this.core.viewHeight);
+    this.ctx.setTransform(this.pixelRatio * scale, 0, 0, this.pixelRatio * scale, 0, 0);
+    this.background.setPixelRatio(this.pixelRatio * scale);
+    this.logicalWidth = this.screenWidth / scale;
+    this.logicalHeight = this.screenHeight / scale;
+    this.background.setViewport(this.logicalWidth, MAX_PARALLAX_LAYERS);
+  }
+
   /**
    * 设置窗口大小变化监听
    */
@@ -245,110 +450,181 @@ class JumpGame {
       }, 500);
     });
   }
-  
+
   /**
    * 处理窗口大小变化
    */
   handleResize() {
-    const oldWidth = this.logicalWidth;
-    const oldHeight = this.logicalHeight;
-    
-    // 重新设置画布
+    // 重新设置画布，核心会按新尺寸调整游戏对象位置
     this.setupCanvas();
-    
-    // 调整游戏对象位置
-    if (this.player && oldWidth && oldHeight) {
-      const scaleX = this.logicalWidth / oldWidth;
-      const scaleY = this.logicalHeight / oldHeight;
-      
-      // 调整玩家位置
-      this.player.x *= scaleX;
-      this.player.y *= scaleY;
-      
-      // 调整平台位置
-      this.platforms.forEach(platform => {
-        platform.x *= scaleX;
-        platform.y *= scaleY;
-      });
-      
-      // 调整摄像机位置
-      this.camera.x *= scaleX;
-      this.camera.y *= scaleY;
-    }
   }
   
+
   /**
    * 初始化游戏对象
    */
   initGameObjects() {
-    // 创建玩家
-    this.player = new Player(
-      this.logicalWidth / 2 - CONFIG.PLAYER_SIZE / 2,
-      CONFIG.GROUND_Y - CONFIG.PLAYER_SIZE
-    );
-    
-    // 创建初始平台
-    this.platforms = [
-      new Platform(this.logicalWidth / 2 - CONFIG.PLATFORM_WIDTH / 2, CONFIG.GROUND_Y, PLATFORM_TYPE.NORMAL),
-      new Platform(this.logicalWidth / 2 + 150, CONFIG.GROUND_Y, PLATFORM_TYPE.NORMAL)
-    ];
+    this.applyViewport();
+    this.core.reset(this.resolveSeed());
+    this.resetEffects();
+    this.closeGameOverPanel();
+    this.aidUsed = null;
+    
+    // 在暂停界面中重新开始时恢复音频
+    this.pauseView = null;
+    if (this.audioManager) {
+      this.audioManager.resume();
+    }
+  }
+
+  /**
+   * 当前渲染模式对应的关卡布局
+   */
+  getCourseLayout() {
+    return this.renderMode === RENDER_MODE.ISOMETRIC ? COURSE_LAYOUT.TURNING : COURSE_LAYOUT.STRAIGHT;
+  }
+
+  /**
+   * 切换渲染模式，关卡布局随之改变，因此重新开始一局
+   */
+  setRenderMode(mode) {
+    this.renderMode = mode;
+    this.core.setCourseLayout(this.getCourseLayout());
+    this.restart();
+  }
+
+  /**
+   * 切换轨迹预览模式：完整 → 部分 → 关闭，并保存
+   */
+  cycleTrajectoryPreview() {
+    const modes = [TRAJECTORY_PREVIEW.FULL, TRAJECTORY_PREVIEW.PARTIAL, TRAJECTORY_PREVIEW.OFF];
+    const index = modes.indexOf(this.preferences.trajectoryPreview);
+    this.preferences.trajectoryPreview = modes[(index + 1) % modes.length];
+    this.storage.set(PREFERENCES_STORAGE_KEY, this.preferences);
+  }
+
+  /**
+   * 切换蓄力曲线：线性 → 缓动 → 往复，并保存
+   * 回放按开局时的曲线记录，因此重新开始一局
+   */
+  cycleChargeCurve() {
+    const curves = [CHARGE_CURVE.LINEAR, CHARGE_CURVE.EASED, CHARGE_CURVE.OSCILLATING];
+    const index = curves.indexOf(this.preferences.chargeCurve);
+    this.preferences.chargeCurve = curves[(index + 1) % curves.length];
+    this.storage.set(PREFERENCES_STORAGE_KEY, this.preferences);
+    this.core.setChargeCurve(this.preferences.chargeCurve);
+    this.restart();
+  }
+
+  /**
+   * 切换画面主题：自动（随分数变化）→ 各个主题，并保存
+   */
+  cycleTheme() {
+    const themes = [THEME_AUTO, ...Object.values(THEME)];
+    const index = themes.indexOf(this.preferences.theme);
+    this.preferences.theme = themes[(index + 1) % themes.length];
+    this.storage.set(PREFERENCES_STORAGE_KEY, this.preferences);
+  }
+
+  /**
+   * 确定当前主题：设置中选了主题就使用它，否则随本局分数变化；主题改变时新背景淡入
+   */
+  updateTheme() {
+    const chosen = THEME_SPEC[this.preferences.theme] ? this.preferences.theme : null;
+    const target = chosen || getThemeForScore(this.core.score);
+    if (target === this.theme) return;
     
-    // 重置游戏数据
-    this.score = 0;
-    this.combo = 0;
-    this.camera.x = 0;
-    this.gameState = GAME_STATE.START;
+    this.themeFade = this.theme ? { from: this.theme, startTime: Date.now() } : null;
+    this.theme = target;
+  }
+
+  getTheme() {
+    return THEME_SPEC[this.theme];
+  }
+
+  /**
+   * 按本局的模拟时间推进昼夜循环，不参与循环的主题固定在正午
+   */
+  updateDaylight() {
+    this.daylight = getDaylight(this.getTheme().dayCycle ? this.core.simTime : null);
+  }
+
+  /**
+   * 界面文字颜色：夜里天色变暗后改用星夜主题的浅色文字
+   */
+  getHudColors() {
+    return this.daylight.night > 0.5 ? THEME_SPEC[THEME.NIGHT].hud : this.getTheme().hud;
+  }
+
+  /**
+   * 选择角色皮肤并保存，碰撞盒宽度随之改变（只在游戏结束界面选择，下一局生效）
+   */
+  selectSkin(id) {
+    if (!this.skins.select(id)) return;
+    this.core.setHitboxScale(this.skins.getSelected().hitbox);
+  }
+
+  /**
+   * 在侧视图和等距视图之间切换
+   */
+  toggleRenderMode() {
+    this.setRenderMode(this.renderMode === RENDER_MODE.ISOMETRIC ? RENDER_MODE.SIDE : RENDER_MODE.ISOMETRIC);
+  }
+
+  /**
+   * 确定本局使用的随机种子
+   */
+  resolveSeed() {
+    if (this.isDailyChallenge) {
+      return getDailySeed();
+    }
+    if (this.fixedSeed !== null) {
+      return this.fixedSeed;
+    }
+    return createRandomSeed();
+  }
+
+  /**
+   * 使用指定种子重新开始（复现关卡）
+   */
+  setSeed(seed) {
+    this.isDailyChallenge = false;
+    this.fixedSeed = SeededRandom.normalizeSeed(seed);
+    this.restart();
+  }
+
+  /**
+   * 开始每日挑战
+   */
+  startDailyChallenge() {
+    this.isDailyChallenge = true;
+    this.fixedSeed = null;
+    this.restart();
+  }
+
+  /**
+   * 回到随机关卡模式
+   */
+  startRandomRun() {
+    this.isDailyChallenge = false;
+    this.fixedSeed = null;
+    this.restart();
   }
 
   /**
-   * 绑定事件 - 手机端触摸优化
+   * 绑定事件：所有输入源经 InputManager 去重后统一成按下/松开/取消/暂停
    */
   bindEvents() {
     // 检测是否为手机设备
     const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     
-    // 绑定触摸事件到canvas
-    this.canvas.addEventListener('touchstart', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      this.handleTouchStart(e.changedTouches[0]);
-    }, { passive: false });
-    
-    this.canvas.addEventListener('touchend', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      this.handleTouchEnd(e.changedTouches[0]);
-    }, { passive: false });
-    
-    // 手机端添加触摸移动事件优化
-    if (isMobile) {
-      this.canvas.addEventListener('touchmove', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-      }, { passive: false });
-    }
-    
-    // Web环境也绑定鼠标事件作为备用
-    this.canvas.addEventListener('mousedown', (e) => {
-      e.preventDefault();
-      this.handleTouchStart({ clientX: e.clientX, clientY: e.clientY });
+    this.input = new InputManager(this.canvas, {
+      press: (touch, time) => this.handleTouchStart(touch, time),
+      release: (touch, time) => this.handleTouchEnd(touch, time),
+      cancel: () => this.handleCancel(),
+      pause: () => this.togglePause()
     });
-    
-    this.canvas.addEventListener('mouseup', (e) => {
-      e.preventDefault();
-      this.handleTouchEnd({ clientX: e.clientX, clientY: e.clientY });
-    });
-    
-    // 只在微信小游戏环境中绑定全局触摸事件
-    if (typeof wx !== 'undefined' && wx.onTouchStart) {
-      wx.onTouchStart((e) => {
-        this.handleTouchStart(e.changedTouches[0]);
-      });
-      
-      wx.onTouchEnd((e) => {
-        this.handleTouchEnd(e.changedTouches[0]);
-      });
-    }
+    this.input.bind();
     
     // 手机端添加震动反馈
     if (isMobile && typeof wx !== 'undefined' && wx.vibrateShort) {
@@ -357,413 +633,1016 @@ class JumpGame {
   }
 
   /**
-   * 处理触摸开始
+   * 绑定前后台切换：切到后台时自动暂停，回到前台后停留在暂停界面，由玩家点击继续
    */
-  async handleTouchStart(touch) {
-    // 恢复音频上下文（用户交互后）
-    if (this.audioManager) {
-      await this.audioManager.resumeAudioContext();
+  bindLifecycleEvents() {
+    if (typeof document !== 'undefined' && document.addEventListener) {
+      document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+          this.pause();
+        } else {
+          this.lastFrameTime = null;
+        }
+      });
     }
     
-    if (this.gameState === GAME_STATE.START) {
-      this.gameState = GAME_STATE.CHARGING;
-      this.isCharging = true;
-      this.touchStartTime = Date.now();
-      this.chargePower = 0;
-      
-      // 开始播放背景音乐
-      if (this.audioManager) {
-        this.audioManager.startBackgroundMusic();
-      }
-    } else if (this.gameState === GAME_STATE.GAME_OVER) {
-      this.restart();
+    if (typeof wx !== 'undefined' && wx.onHide) {
+      wx.onHide(() => this.pause());
+      wx.onShow(() => {
+        this.lastFrameTime = null;
+      });
     }
   }
 
   /**
-   * 处理触摸结束
+   * 暂停游戏；回放中只暂停播放
    */
-  handleTouchEnd(touch) {
-    if (this.gameState === GAME_STATE.CHARGING && this.isCharging) {
-      this.isCharging = false;
-      this.jump();
+  pause() {
+    if (this.replayPlayer) {
+      this.replayPlayer.paused = true;
+      return;
+    }
+    if (this.core.pause()) {
+      this.pauseView = 'menu';
     }
   }
 
   /**
-   * 玩家跳跃
+   * 从暂停中继续
    */
-  jump() {
-    if (this.gameState !== GAME_STATE.CHARGING) return;
-    
-    // 计算跳跃力度
-    const power = Math.min(this.chargePower, CONFIG.MAX_POWER);
-    
-    // 找到目标平台
-    const targetPlatform = this.getNextPlatform();
-    if (!targetPlatform) {
-      this.gameOver();
-      return;
+  resume() {
+    if (this.core.resume()) {
+      this.pauseView = null;
     }
-    
-    // 计算跳跃参数 - 修复物理计算
-    const distance = targetPlatform.x - this.player.x;
-    const initialVy = CONFIG.JUMP_FORCE * power;
-    // 计算到达最高点的时间，然后乘以2得到总飞行时间
-    const jumpTime = (2 * initialVy) / CONFIG.GRAVITY;
-    const horizontalSpeed = distance / jumpTime;
-    
-    this.player.jump(power, horizontalSpeed);
-    this.gameState = GAME_STATE.JUMPING;
-    
-    // 播放跳跃音效
-    if (this.audioManager) {
-      this.audioManager.playJumpSound();
+  }
+
+  togglePause() {
+    if (this.replayPlayer) {
+      this.toggleReplayPause();
+    } else if (this.isPaused()) {
+      this.resume();
+    } else {
+      this.pause();
     }
   }
 
-  /**
-   * 获取下一个平台
-   */
-  getNextPlatform() {
-    return this.platforms.find(platform => 
-      platform.x > this.player.x + CONFIG.PLAYER_SIZE
-    );
+  isPaused() {
+    return this.core.gameState === GAME_STATE.PAUSED;
   }
 
   /**
-   * 更新游戏逻辑
+   * 处理触摸开始
+   * @param {Object} touch 触点（clientX/clientY），键盘和手柄按下时为 null
+   * @param {number} time 输入事件的高精度时间戳
    */
-  update() {
-    // 更新蓄力
-    if (this.isCharging) {
-      const chargeTime = (Date.now() - this.touchStartTime) / 1000;
-      this.chargePower = Math.min(chargeTime * 0.8, CONFIG.MAX_POWER);
-      console.log('Charging... Power:', this.chargePower.toFixed(2), 'Time:', chargeTime.toFixed(2));
+  async handleTouchStart(touch, time) {
+    // 暂停界面的点击只操作菜单，音频等继续游戏时再恢复
+    if (this.isPaused()) {
+      this.handlePauseTap(touch);
+      return;
     }
     
-    // 更新玩家
-    this.player.update();
-    
-    // 检查着陆
-    if (this.gameState === GAME_STATE.JUMPING && this.player.isLanding()) {
-      this.checkLanding();
+    // 恢复音频上下文（用户交互后）
+    if (this.audioManager) {
+      await this.audioManager.resumeAudioContext();
     }
     
-    // 更新粒子
-    this.updateParticles();
-    
-    // 更新摄像机
-    this.updateCamera();
+    // 回放中点击屏幕暂停/继续，播放结束后点击返回游戏
+    if (this.replayPlayer) {
+      if (this.replayPlayer.isFinished()) {
+        this.stopReplay();
+      } else {
+        this.replayPlayer.togglePause();
+      }
+      return;
+    }
     
-    // 生成新平台
-    this.generatePlatforms();
+    if (this.core.gameState === GAME_STATE.GAME_OVER) {
+      this.handleGameOverTap(touch);
+    } else if (this.findButton([this.pauseButton], touch)) {
+      this.pause();
+    } else {
+      this.core.startCharge(this.toSimTime(time));
+    }
   }
 
   /**
-   * 检查着陆
+   * 暂停界面的点击
    */
-  checkLanding() {
-    // 只有在下降时才检测着陆
-    if (!this.player.isJumping || this.player.vy <= 0) return;
+  handlePauseTap(touch) {
+    // 键盘、手柄在暂停菜单中按下即继续
+    if (!touch) {
+      if (this.pauseView === 'menu') {
+        this.resume();
+      }
+      return;
+    }
     
-    const landedPlatform = this.platforms.find(platform => 
-      this.player.x + CONFIG.PLAYER_SIZE/2 > platform.x &&
-      this.player.x + CONFIG.PLAYER_SIZE/2 < platform.x + CONFIG.PLATFORM_WIDTH &&
-      this.player.y + CONFIG.PLAYER_SIZE >= platform.y &&
-      this.player.y + CONFIG.PLAYER_SIZE <= platform.y + CONFIG.PLATFORM_HEIGHT + 5
-    );
+    const button = this.findButton(this.pauseButtons, touch);
+    if (!button) return;
     
-    // 检查是否落到地面
-    if (this.player.y + CONFIG.PLAYER_SIZE >= CONFIG.GROUND_Y) {
-      if (landedPlatform) {
-        // 成功着陆到平台
-        this.player.land(landedPlatform.y - CONFIG.PLAYER_SIZE);
-        this.handleSuccessfulLanding(landedPlatform);
-        this.createLandingParticles();
-        this.gameState = GAME_STATE.START;
-      } else {
-        // 着陆失败
-        this.gameOver();
-      }
+    switch (button.action) {
+    case 'resume':
+      this.resume();
+      break;
+    case 'restart':
+      this.restart();
+      break;
+    case 'settings':
+      this.pauseView = 'settings';
+      break;
+    case 'sound':
+      this.audioManager.toggleSound();
+      break;
+    case 'trajectory':
+      this.cycleTrajectoryPreview();
+      break;
+    case 'chargeCurve':
+      this.cycleChargeCurve();
+      break;
+    case 'theme':
+      this.cycleTheme();
+      break;
+    case 'view':
+      this.toggleRenderMode();
+      break;
+    case 'back':
+      this.pauseView = 'menu';
+      break;
     }
   }
 
   /**
-   * 处理成功着陆
+   * 游戏结束界面的点击：面板中点击返回（角色选择页中点中角色则选择它），点中按钮打开对应面板，其他位置重新开始
    */
-  handleSuccessfulLanding(platform) {
-    // 计算分数
-    const centerX = platform.x + CONFIG.PLATFORM_WIDTH / 2;
-    const playerCenterX = this.player.x + CONFIG.PLAYER_SIZE / 2;
-    const distance = Math.abs(centerX - playerCenterX);
-    
-    if (distance <= CONFIG.PERFECT_TOLERANCE) {
-      // 完美着陆
-      this.combo++;
-      this.score += 2 + this.combo;
-      if (this.audioManager) {
-        this.audioManager.playPerfectLandingSound();
-      }
-      // 手机端震动反馈
-      if (this.enableVibration && typeof wx !== 'undefined' && wx.vibrateShort) {
-        wx.vibrateShort({ type: 'medium' });
-      }
-    } else {
-      // 普通着陆
-      this.combo = 0;
-      this.score += 1;
-      if (this.audioManager) {
-        this.audioManager.playLandingSound();
-      }
-      // 手机端震动反馈
-      if (this.enableVibration && typeof wx !== 'undefined' && wx.vibrateShort) {
-        wx.vibrateShort({ type: 'light' });
+  handleGameOverTap(touch) {
+    if (this.gameOverPanel === 'skins') {
+      const card = this.findButton(this.skinCards, touch);
+      if (card) {
+        this.selectSkin(card.id);
+        return;
       }
     }
+    if (this.gameOverPanel) {
+      this.closeGameOverPanel();
+      return;
+    }
     
-    // 处理特殊平台
-    if (platform.type === PLATFORM_TYPE.BONUS) {
-      this.score += 5;
-      // 奖励平台震动反馈
-      if (this.enableVibration && typeof wx !== 'undefined' && wx.vibrateShort) {
-        wx.vibrateShort({ type: 'medium' });
-      }
+    const button = this.findButton(this.gameOverButtons, touch);
+    if (button) {
+      this.openGameOverPanel(button.panel);
+      return;
     }
+    
+    this.restart();
   }
 
   /**
-   * 创建着陆粒子效果
+   * 打开游戏结束界面上的面板
    */
-  createLandingParticles() {
-    for (let i = 0; i < CONFIG.PARTICLE_COUNT; i++) {
-      this.particles.push(new Particle(
-        this.player.x + CONFIG.PLAYER_SIZE / 2,
-        this.player.y + CONFIG.PLAYER_SIZE,
-        (Math.random() - 0.5) * 8,
-        -Math.random() * 5 - 2
-      ));
+  openGameOverPanel(panel) {
+    this.gameOverPanel = panel;
+    if (panel === 'leaderboard') {
+      const rect = this.getLeaderboardRect();
+      const dpr = window.devicePixelRatio || 1;
+      this.leaderboard.show(Math.round(rect.width * dpr), Math.round(rect.height * dpr));
     }
   }
 
-  /**
-   * 更新粒子
-   */
-  updateParticles() {
-    this.particles = this.particles.filter(particle => {
-      particle.update();
-      return particle.life > 0;
-    });
+  closeGameOverPanel() {
+    if (this.gameOverPanel === 'leaderboard') {
+      this.leaderboard.hide();
+    }
+    this.gameOverPanel = null;
   }
 
   /**
-   * 更新摄像机
+   * 找到触点所在的按钮
    */
-  updateCamera() {
-    // 游戏结束时保持摄像机静止
-    if (this.gameState === GAME_STATE.GAME_OVER) {
-      return;
-    }
-    
-    const targetX = this.player.x - this.logicalWidth / 2;
-    this.camera.x += (targetX - this.camera.x) * 0.1;
+  findButton(buttons, touch) {
+    if (!touch) return null;
+    const point = this.getTouchPoint(touch);
+    return buttons.find(item => item &&
+      point.x >= item.x && point.x <= item.x + item.width &&
+      point.y >= item.y && point.y <= item.y + item.height
+    );
   }
 
   /**
-   * 生成新平台
+   * 触点换算为画布逻辑坐标（画面缩放时逻辑尺寸与屏幕尺寸不同）
    */
-  generatePlatforms() {
-    const lastPlatform = this.platforms[this.platforms.length - 1];
-    const rightmostX = lastPlatform.x;
-    
-    // 如果最右边的平台距离摄像机不够远，生成新平台
-    if (rightmostX < this.camera.x + this.logicalWidth + 200) {
-      const newX = rightmostX + CONFIG.BASE_DISTANCE + Math.random() * 100 + this.score * CONFIG.DIFFICULTY_FACTOR;
-      const type = this.getRandomPlatformType();
-      this.platforms.push(new Platform(newX, CONFIG.GROUND_Y, type));
-    }
-    
-    // 清理离开屏幕的平台
-    this.platforms = this.platforms.filter(platform => 
-      platform.x > this.camera.x - 200
-    );
+  getTouchPoint(touch) {
+    const rect = this.canvas.getBoundingClientRect
+      ? this.canvas.getBoundingClientRect()
+      : { left: 0, top: 0 };
+    const scale = this.logicalWidth / this.screenWidth;
+    return { x: (touch.clientX - rect.left) * scale, y: (touch.clientY - rect.top) * scale };
   }
 
   /**
-   * 获取随机平台类型
+   * 处理触摸结束
    */
-  getRandomPlatformType() {
-    const rand = Math.random();
-    if (rand < 0.1) return PLATFORM_TYPE.BONUS;
-    if (rand < 0.15) return PLATFORM_TYPE.SPRING;
-    return PLATFORM_TYPE.NORMAL;
+  handleTouchEnd(touch, time) {
+    if (this.replayPlayer) return;
+    this.core.releaseCharge(this.toSimTime(time));
   }
 
   /**
-   * 游戏结束
+   * 把输入事件的时间戳换算为模拟时钟时间，蓄力时长因此不受帧间隔抖动影响
+   * 上一帧结束时模拟时钟位于 simTime + accumulator，事件时刻在此基础上按时间倍率推算；
+   * 时间戳缺失或与帧时间不是同一时钟时退化为当前步
    */
-  gameOver() {
-    this.gameState = GAME_STATE.GAME_OVER;
-    // 播放游戏结束音效并停止背景音乐
-    if (this.audioManager) {
-      this.audioManager.playGameOverSound();
-      this.audioManager.stopBackgroundMusic();
-    }
-    // 手机端震动反馈
-    if (this.enableVibration && typeof wx !== 'undefined' && wx.vibrateShort) {
-      wx.vibrateShort({ type: 'heavy' });
+  toSimTime(time) {
+    if (time === undefined || time === null || this.lastFrameTime === null ||
+      Math.abs(time - this.lastFrameTime) > CONFIG.MAX_FRAME_TIME) {
+      return this.core.simTime;
     }
+    return this.core.simTime + this.accumulator + (time - this.lastFrameTime) * this.getTimeScale();
   }
 
   /**
-   * 重新开始游戏
+   * 取消蓄力（拖出画布、Esc、手柄 B 键），不起跳
    */
-  restart() {
-    this.initGameObjects();
-    this.particles = [];
+  handleCancel() {
+    if (this.replayPlayer) return;
+    this.core.cancelCharge();
   }
 
   /**
-   * 渲染游戏
+   * 订阅核心事件，播放音效、震动和粒子
    */
-  render() {
-    // 清空画布
-    this.ctx.clearRect(0, 0, this.logicalWidth, this.logicalHeight);
+  bindCoreEvents() {
+    this.core.on('chargeStart', () => {
+      // 开始播放背景音乐
+      if (this.audioManager) {
+        this.audioManager.startBackgroundMusic();
+      }
+    });
     
-    // 保存上下文
-    this.ctx.save();
+    this.core.on('jump', () => {
+      // 播放跳跃音效
+      if (this.audioManager) {
+        this.audioManager.playJumpSound(this.skins.getSelected().jumpSound);
+      }
+      // 记录本局用过的辅助，完整预览优先
+      const preview = this.preferences.trajectoryPreview;
+      if (!this.replayPlayer && preview !== TRAJECTORY_PREVIEW.OFF && this.aidUsed !== TRAJECTORY_PREVIEW.FULL) {
+        this.aidUsed = preview;
+      }
+    });
     
-    // 应用摄像机变换
-    this.ctx.translate(-this.camera.x, -this.camera.y);
+    this.core.on('land', (event) => this.handleLanding(event));
     
-    // 绘制背景
-    this.renderBackground();
+    this.core.on('spring', (event) => this.handleSpring(event));
     
-    // 绘制平台
-    this.platforms.forEach(platform => platform.render(this.ctx));
+    this.core.on('bonus', (event) => this.handleBonus(event));
     
-    // 绘制玩家
-    this.player.render(this.ctx);
+    this.core.on('acorn', (event) => this.handleAcorn(event));
     
-    // 绘制粒子
-    this.particles.forEach(particle => particle.render(this.ctx));
+    this.core.on('powerUp', (event) => this.handlePowerUp(event));
     
-    // 恢复上下文
-    this.ctx.restore();
+    this.core.on('powerUpEnd', ({ kind }) => {
+      if (this.audioManager) {
+        this.audioManager.playPowerUpSound(kind, true);
+      }
+    });
+    
+    this.core.on('shield', (event) => this.handleShield(event));
+    
+    this.core.on('gameOver', () => {
+      // 播放游戏结束音效并停止背景音乐
+      if (this.audioManager) {
+        this.audioManager.playGameOverSound();
+        this.audioManager.stopBackgroundMusic();
+      }
+      // 手机端震动反馈
+      this.vibrate('heavy');
+    });
+    
+    // 暂停时挂起音频，继续时恢复
+    this.core.on('pause', () => {
+      if (this.audioManager) {
+        this.audioManager.suspend();
+      }
+    });
+    
+    this.core.on('resume', () => {
+      if (this.audioManager) {
+        this.audioManager.resume();
+      }
+    });
+    
+    this.core.on('gameOver', ({ score }) => {
+      // 提交分数到好友排行榜（回放不提交）
+      if (this.leaderboard && !this.replayPlayer) {
+        this.leaderboard.submitScore(score);
+      }
+    });
+  }
+
+  /**
+   * 着陆表现：粒子、音效、震动
+   */
+  handleLanding({ perfect, bonus }) {
+    this.createLandingParticles();
+    
+    if (perfect) {
+      // 完美着陆
+      if (this.audioManager) {
+        this.audioManager.playPerfectLandingSound();
+      }
+      this.vibrate('medium');
+    } else {
+      // 普通着陆
+      if (this.audioManager) {
+        this.audioManager.playLandingSound();
+      }
+      this.vibrate('light');
+    }
+    
+    // 落到奖励平台，提示停留领奖
+    if (bonus) {
+      this.vibrate('medium');
+    }
+  }
+
+  /**
+   * 弹簧弹射表现：粉色粒子爆发、弹簧音效、震动
+   */
+  handleSpring({ platform }) {
+    const origin = this.toEffectSpace(platform.x + platform.width / 2, platform.y);
+    for (let i = 0; i < CONFIG.PARTICLE_COUNT * 2; i++) {
+      const angle = -Math.PI * this.effectRng.next();
+      const speed = 3 + this.effectRng.next() * 5;
+      this.particles.push(new Particle(
+        origin.x,
+        origin.y,
+        Math.cos(angle) * speed,
+        Math.sin(angle) * speed,
+        this.effectRng.next() * 4 + 3,
+        '255, 105, 180'
+      ));
+    }
+    
+    if (this.audioManager) {
+      this.audioManager.playSpringSound();
+    }
+    this.vibrate('medium');
+  }
+
+  /**
+   * 奖励平台领奖表现：彩色粒子、“+N”飘字、专属音效、震动
+   */
+  handleBonus({ kind, points }) {
+    const style = BONUS_KIND_STYLE[kind];
+    const player = this.core.player;
+    const origin = this.toEffectSpace(player.x + CONFIG.PLAYER_SIZE / 2, player.y, player.lateral);
+    
+    for (let i = 0; i < CONFIG.PARTICLE_COUNT * 2; i++) {
+      const angle = -Math.PI * this.effectRng.next();
+      const speed = 2 + this.effectRng.next() * 4;
+      this.particles.push(new Particle(
+        origin.x,
+        origin.y,
+        Math.cos(angle) * speed,
+        Math.sin(angle) * speed,
+        this.effectRng.next() * 3 + 3,
+        style.particle
+      ));
+    }
+    
+    // 音乐盒额外飘出几个音符
+    if (kind === BONUS_KIND.MUSIC_BOX) {
+      for (let i = 0; i < 3; i++) {
+        this.particles.push(new FloatingText(origin.x, origin.y, '♪', style.color, (i - 1) * 1.2));
+      }
+    }
+    this.particles.push(new FloatingText(origin.x, origin.y - 20, `+${points}`, style.color));
+    
+    if (this.audioManager) {
+      this.audioManager.playBonusSound(kind);
+    }
+    this.vibrate('medium');
+  }
+
+  /**
+   * 拾取橡果表现：棕色粒子、“+1”飘字、音效
+   */
+  handleAcorn({ acorn }) {
+    const origin = this.toEffectSpace(acorn.x, acorn.y, 0, acorn.frame);
+    for (let i = 0; i < CONFIG.PARTICLE_COUNT; i++) {
+      const angle = Math.PI * 2 * this.effectRng.next();
+      const speed = 1 + this.effectRng.next() * 3;
+      this.particles.push(new Particle(
+        origin.x,
+        origin.y,
+        Math.cos(angle) * speed,
+        Math.sin(angle) * speed,
+        this.effectRng.next() * 2 + 2,
+        '160, 100, 40'
+      ));
+    }
+    this.particles.push(new FloatingText(origin.x, origin.y - 10, '+1', '#A0642A'));
+    
+    if (this.audioManager) {
+      this.audioManager.playAcornSound();
+    }
+  }
+
+  /**
+   * 拾取道具表现：道具颜色的粒子环、道具名称飘字、音效、震动
+   */
+  handlePowerUp({ kind }) {
+    const style = POWER_UP_STYLE[kind];
+    const player = this.core.player;
+    const origin = this.toEffectSpace(player.x + CONFIG.PLAYER_SIZE / 2, player.y + CONFIG.PLAYER_SIZE / 2, player.lateral);
+    
+    for (let i = 0; i < CONFIG.PARTICLE_COUNT * 2; i++) {
+      const angle = (Math.PI * 2 * i) / (CONFIG.PARTICLE_COUNT * 2);
+      this.particles.push(new Particle(
+        origin.x,
+        origin.y,
+        Math.cos(angle) * 4,
+        Math.sin(angle) * 4,
+        this.effectRng.next() * 2 + 3,
+        style.particle
+      ));
+    }
+    this.particles.push(new FloatingText(origin.x, origin.y - CONFIG.PLAYER_SIZE / 2, `${style.icon} ${style.label}`, style.color));
+    
+    if (this.audioManager) {
+      this.audioManager.playPowerUpSound(kind);
+    }
+    this.vibrate('medium');
+  }
+
+  /**
+   * 护盾抵挡失误：护盾碎片四散、音效、震动
+   */
+  handleShield() {
+    const style = POWER_UP_STYLE[POWER_UP.SHIELD];
+    const player = this.core.player;
+    const origin = this.toEffectSpace(player.x + CONFIG.PLAYER_SIZE / 2, player.y + CONFIG.PLAYER_SIZE / 2, player.lateral);
+    
+    for (let i = 0; i < CONFIG.PARTICLE_COUNT * 3; i++) {
+      const angle = Math.PI * 2 * this.effectRng.next();
+      const speed = 3 + this.effectRng.next() * 5;
+      this.particles.push(new Particle(
+        origin.x,
+        origin.y,
+        Math.cos(angle) * speed,
+        Math.sin(angle) * speed,
+        this.effectRng.next() * 3 + 2,
+        style.particle
+      ));
+    }
+    this.particles.push(new FloatingText(origin.x, origin.y - CONFIG.PLAYER_SIZE / 2, '护盾抵挡!', style.color));
+    
+    if (this.audioManager) {
+      this.audioManager.playShieldBreakSound();
+    }
+    this.vibrate('heavy');
+  }
+
+  /**
+   * 手机端震动反馈
+   */
+  vibrate(type) {
+    if (this.enableVibration && typeof wx !== 'undefined' && wx.vibrateShort) {
+      wx.vibrateShort({ type });
+    }
+  }
+
+  /**
+   * 更新游戏逻辑 - 每次调用推进一个固定步长
+   */
+  update() {
+    // 记录粒子上一步位置，供渲染插值使用
+    this.particles.forEach(particle => particle.savePreviousState());
+    
+    if (this.replayPlayer) {
+      this.replayPlayer.step();
+    } else {
+      this.core.step();
+    }
+    
+    this.animator.update();
+    if (this.renderMode === RENDER_MODE.ISOMETRIC) {
+      this.isoRenderer.update();
+    }
+    
+    // 更新粒子
+    this.updateParticles();
+  }
+
+  /**
+   * 创建着陆粒子效果，颜色随角色皮肤
+   */
+  createLandingParticles() {
+    const player = this.core.player;
+    const origin = this.toEffectSpace(player.x + CONFIG.PLAYER_SIZE / 2, player.y + CONFIG.PLAYER_SIZE, player.lateral);
+    const color = this.skins.getSelected().particle;
+    for (let i = 0; i < CONFIG.PARTICLE_COUNT; i++) {
+      this.particles.push(new Particle(
+        origin.x,
+        origin.y,
+        (this.effectRng.next() - 0.5) * 8,
+        -this.effectRng.next() * 5 - 2,
+        this.effectRng.next() * 4 + 2,
+        color
+      ));
+    }
+  }
+
+  /**
+   * 把核心坐标换算为粒子所在的绘制坐标：侧视图直接使用，等距视图需要投影
+   * @param {Object} frame 坐标所在的航段，默认为玩家当前所在航段
+   */
+  toEffectSpace(x, y, lateral = 0, frame) {
+    if (this.renderMode === RENDER_MODE.ISOMETRIC) {
+      return this.isoRenderer.projectCourse(x, y, lateral, frame);
+    }
+    return { x, y };
+  }
+
+  /**
+   * 更新粒子
+   */
+  updateParticles() {
+    this.particles = this.particles.filter(particle => {
+      particle.update();
+      return particle.life > 0;
+    });
+  }
+
+  /**
+   * 最近一局完整的回放，游戏结束后可用
+   */
+  getLastReplay() {
+    return this.recorder.lastReplay;
+  }
+
+  /**
+   * 播放回放：暂停录制，套用回放记录的配置和视口，用同一个核心重新驱动
+   * @param {Object|string} replay 回放对象或 JSON 字符串
+   * @returns {boolean} 是否开始播放
+   */
+  startReplay(replay) {
+    let player;
+    try {
+      player = new ReplayPlayer(this.core, replay);
+    } catch (error) {
+      console.warn('回放文件无效:', error);
+      return false;
+    }
+    
+    if (!this.replayPlayer) {
+      this.savedSettings = { renderMode: this.renderMode };
+    }
+    Object.assign(CONFIG, player.replay.config);
+    this.core.setViewSize(player.replay.view.width, player.replay.view.height);
+    
+    this.recorder.enabled = false;
+    this.stats.enabled = false;
+    this.replayPlayer = player;
+    this.applyViewport();
+    this.renderMode = player.replay.layout === COURSE_LAYOUT.TURNING ? RENDER_MODE.ISOMETRIC : RENDER_MODE.SIDE;
+    player.start();
+    this.resetEffects();
+    return true;
+  }
+
+  /**
+   * 退出回放，恢复配置并开始新的一局
+   */
+  stopReplay() {
+    if (!this.replayPlayer) return;
+    
+    this.replayPlayer = null;
+    this.renderMode = this.savedSettings.renderMode;
+    this.savedSettings = null;
+    this.core.setCourseLayout(this.getCourseLayout());
+    this.core.setChargeCurve(this.preferences.chargeCurve);
+    this.core.setHitboxScale(this.skins.getSelected().hitbox);
+    this.recorder.enabled = true;
+    this.stats.enabled = true;
+    this.restart();
+  }
+
+  /**
+   * 回放跳转（毫秒）
+   */
+  seekReplay(time) {
+    if (!this.replayPlayer) return;
+    this.replayPlayer.seek(time);
+    this.resetEffects();
+  }
+
+  /**
+   * 回放快进/快退（毫秒）
+   */
+  skipReplay(delta) {
+    if (!this.replayPlayer) return;
+    this.seekReplay(this.replayPlayer.getCurrentTime() + delta);
+  }
+
+  /**
+   * 设置回放速度
+   */
+  setReplaySpeed(speed) {
+    if (this.replayPlayer) {
+      this.replayPlayer.setSpeed(speed);
+    }
+  }
+
+  /**
+   * 回放暂停/继续
+   */
+  toggleReplayPause() {
+    if (this.replayPlayer) {
+      this.replayPlayer.togglePause();
+    }
+  }
+
+  /**
+   * 游戏循环的时间倍率：回放时按播放速度，暂停时为0
+   */
+  getTimeScale() {
+    if (this.isPaused()) return 0;
+    if (!this.replayPlayer) return 1;
+    return this.replayPlayer.paused ? 0 : this.replayPlayer.speed;
+  }
+
+  /**
+   * 清除表现层状态（粒子、等距摄像机），用于回放开始和跳转
+   */
+  resetEffects() {
+    this.seed = this.core.seed;
+    this.effectRng = this.core.rng.fork('effects');
+    this.particles = [];
+    this.isoRenderer.reset();
+    this.animator.reset();
+  }
+
+  /**
+   * 重新开始游戏
+   */
+  restart() {
+    this.initGameObjects();
+  }
+
+  /**
+   * 渲染游戏
+   * @param {number} alpha 距下一个模拟步的插值比例（0-1）
+   */
+  render(alpha = 1) {
+    // 摄像机插值，高刷新率屏幕上画面依然平滑
+    const { camera, prevCamera } = this.core;
+    // 模拟视口与画面的宽高比不同时（指定种子、每日挑战、回放），视口居中显示
+    const offsetX = (this.core.viewWidth - this.logicalWidth) / 2;
+    const offsetY = (this.core.viewHeight - this.logicalHeight) / 2;
+    this.renderCamera.x = prevCamera.x + (camera.x - prevCamera.x) * alpha + offsetX;
+    this.renderCamera.y = prevCamera.y + (camera.y - prevCamera.y) * alpha + offsetY;
+    this.updateTheme();
+    this.updateDaylight();
+    
+    // 清空画布
+    this.ctx.clearRect(0, 0, this.logicalWidth, this.logicalHeight);
+    
+    if (this.renderMode === RENDER_MODE.ISOMETRIC) {
+      this.isoRenderer.render(alpha);
+    } else {
+      this.renderSideView(alpha);
+    }
+    
+    // 昼夜循环的环境光
+    this.renderAmbientLight();
     
     // 绘制UI
     this.renderUI();
     
     // 绘制蓄力指示器
-    if (this.gameState === GAME_STATE.CHARGING) {
+    if (this.core.gameState === GAME_STATE.CHARGING) {
       this.renderChargeIndicator();
     }
     
     // 绘制游戏结束界面
-    if (this.gameState === GAME_STATE.GAME_OVER) {
+    if (this.core.gameState === GAME_STATE.GAME_OVER) {
       this.renderGameOver();
     }
+    
+    // 绘制暂停界面
+    if (this.isPaused()) {
+      this.renderPauseScreen();
+    }
   }
 
   /**
-   * 渲染背景 - 森林主题
+   * 渲染侧视图的世界部分（背景、平台、玩家、粒子）
    */
-  renderBackground() {
-    // 森林天空渐变背景
-    const gradient = this.ctx.createLinearGradient(0, 0, 0, this.logicalHeight);
-    gradient.addColorStop(0, '#87CEEB');  // 天空蓝
-    gradient.addColorStop(0.3, '#98FB98'); // 浅绿
-    gradient.addColorStop(1, '#228B22');   // 森林绿
+  renderSideView(alpha) {
+    // 保存上下文
+    this.ctx.save();
     
-    this.ctx.fillStyle = gradient;
+    // 应用摄像机变换
+    this.ctx.translate(-this.renderCamera.x, -this.renderCamera.y);
+    
+    // 绘制背景
+    this.renderThemeBackground(theme => this.renderBackground(theme));
+    
+    // 绘制平台
+    this.core.platforms.forEach(platform => this.renderPlatform(platform));
+    
+    // 绘制橡果
+    this.renderAcorns((x, y) => ({ x, y }));
+    
+    // 绘制玩家
+    this.renderPlayer(alpha);
+    
+    // 绘制轨迹预览和奖励倒计时（侧视图中航段坐标即世界坐标）
+    this.renderTrajectory((x, y) => ({ x, y }));
+    this.renderBonusCountdown((x, y) => ({ x, y }));
+    
+    // 绘制粒子
+    this.particles.forEach(particle => particle.render(this.ctx, alpha));
+    
+    // 恢复上下文
+    this.ctx.restore();
+  }
+
+  /**
+   * 按当前主题绘制背景；切换主题后的一段时间内先画旧主题，新主题在其上淡入
+   * @param {Function} draw 按主题规格绘制背景，侧视图和等距视图各自提供
+   */
+  renderThemeBackground(draw) {
+    const fade = this.themeFade;
+    const progress = fade ? (Date.now() - fade.startTime) / THEME_FADE_TIME : 1;
+    if (progress >= 1) {
+      this.themeFade = null;
+      draw(this.getTheme());
+      return;
+    }
+    
+    draw(THEME_SPEC[fade.from]);
+    this.ctx.save();
+    this.ctx.globalAlpha = progress;
+    draw(this.getTheme());
+    this.ctx.restore();
+  }
+
+  /**
+   * 渲染背景：主题的天空渐变，再由远到近画主题的背景图层
+   */
+  renderBackground(theme) {
+    this.ctx.fillStyle = this.background.getGradient(this.ctx, `${theme.name}:side`, this.logicalHeight, theme.sky);
     this.ctx.fillRect(
-      this.camera.x - 100, 
-      this.camera.y - 100, 
+      this.renderCamera.x - 100, 
+      this.renderCamera.y - 100, 
       this.logicalWidth + 200,
       this.logicalHeight + 200
     );
     
-    // 绘制白云
-    this.renderClouds();
+    // 昼夜循环的天色叠加在主题天空上，夜里再升起星星和月亮
+    this.renderSkyTint(this.renderCamera.x, this.renderCamera.y);
+    this.renderNightSky();
     
-    // 绘制远景树木
-    this.renderBackgroundTrees();
+    theme.layers.forEach(layer => BACKGROUND_LAYER_RENDERERS[layer](this, theme));
+  }
+
+  /**
+   * 叠加昼夜循环的天色：黎明和黄昏偏暖，夜里变成深蓝
+   * @param {number} left 画面左上角的 x（侧视图为摄像机位置，等距视图为 0）
+   * @param {number} top 画面左上角的 y
+   */
+  renderSkyTint(left, top) {
+    const { skyTop, skyBottom } = this.daylight;
+    if (skyTop[3] <= 0 && skyBottom[3] <= 0) return;
     
-    // 绘制阳光效果
-    this.renderSunlight();
+    const gradient = this.ctx.createLinearGradient(0, top, 0, top + this.logicalHeight);
+    gradient.addColorStop(0, `rgba(${skyTop.join(', ')})`);
+    gradient.addColorStop(1, `rgba(${skyBottom.join(', ')})`);
+    this.ctx.fillStyle = gradient;
+    this.ctx.fillRect(left - 100, top - 100, this.logicalWidth + 200, this.logicalHeight + 200);
+  }
+
+  /**
+   * 昼夜循环的夜空：星星和沿弧线移动的月亮，随夜色渐浓而显现
+   */
+  renderNightSky() {
+    const { night, moon } = this.daylight;
+    if (night <= 0) return;
+    
+    this.ctx.save();
+    this.ctx.globalAlpha *= night;
+    this.renderStars();
+    if (moon !== null) {
+      this.renderMoon(this.getSkyPosition(moon));
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * 太阳和月亮在天空弧线上的位置：从左侧地平线升起，正中最高，落到右侧
+   * @param {number} arc 弧线上的进度（0-1）
+   */
+  getSkyPosition(arc) {
+    const horizon = this.logicalHeight * 0.6;
+    const peak = 120;  // 最高点不高于右上角的音频按钮
+    return {
+      x: this.renderCamera.x + 60 + (this.logicalWidth - 120) * arc,
+      y: this.renderCamera.y + horizon - Math.sin(Math.PI * arc) * Math.max(0, horizon - peak)
+    };
+  }
+
+  /**
+   * 昼夜循环的环境光：给整个世界罩上一层色调，夜里再放出萤火虫；界面文字画在它上面不受影响
+   */
+  renderAmbientLight() {
+    const { ambient, night } = this.daylight;
+    if (ambient[3] > 0) {
+      this.ctx.fillStyle = `rgba(${ambient.join(', ')})`;
+      this.ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
+    }
     
-    // 绘制飞舞的蝴蝶
-    this.renderButterflies();
+    if (night > 0) {
+      this.ctx.save();
+      this.ctx.globalAlpha = night;
+      this.ctx.translate(-this.renderCamera.x, -this.renderCamera.y);
+      this.renderFireflies();
+      this.ctx.restore();
+    }
+  }
+  
+  /**
+   * 渲染视差图层：取出覆盖画面的图块（第一次出现时画到离屏画布上），按图层的视差系数平移贴到画布上
+   */
+  renderParallaxLayer(name, theme) {
+    const layer = PARALLAX_LAYERS[name];
+    this.background.render(
+      this.ctx,
+      `${theme.name}:${name}`,
+      layer,
+      this.renderCamera,
+      { width: this.logicalWidth, height: this.logicalHeight },
+      Date.now() * 0.001,
+      (tileCtx, index) => this.drawParallaxTile(tileCtx, layer, theme, index)
+    );
+  }
+
+  /**
+   * 在图块的局部坐标中画出第 index 块的物体；位置偏移和高矮只由图块编号和物体序号决定，每次重画都一样
+   */
+  drawParallaxTile(ctx, layer, theme, index) {
+    const y = layer.anchor === 'top' ? layer.height / 2 : layer.height;
+    for (let slot = 0; slot * layer.spacing < PARALLAX_TILE_WIDTH; slot++) {
+      const jitter = (hashSeed(index, slot, 1) - 0.5) * layer.spacing * 0.3;
+      const x = slot * layer.spacing + layer.spacing / 2 + jitter;
+      layer.draw(this, ctx, theme.scenery, x, y, hashSeed(index, slot));
+    }
+  }
+
+  /**
+   * 画一棵远景树：树干加圆形树冠和高光
+   */
+  drawBackgroundTree(ctx, colors, x, groundY, seed) {
+    const treeHeight = 40 + seed * 30;
     
-    // 绘制飞舞的花朵
-    this.renderFlowers();
+    // 树干
+    ctx.fillStyle = colors.trunk;
+    ctx.fillRect(x - 4, groundY - treeHeight * 0.3, 8, treeHeight * 0.3);
     
-    // 绘制飘落的叶子
-    this.renderFloatingLeaves();
+    // 树冠
+    ctx.fillStyle = colors.crown;
+    ctx.beginPath();
+    ctx.arc(x, groundY - treeHeight * 0.5, treeHeight * 0.4, 0, Math.PI * 2);
+    ctx.fill();
     
-    // 绘制气泡
-    this.renderBubbles();
+    // 树冠高光
+    ctx.fillStyle = colors.crownHighlight;
+    ctx.beginPath();
+    ctx.arc(x - 2, groundY - treeHeight * 0.6, treeHeight * 0.2, 0, Math.PI * 2);
+    ctx.fill();
   }
   
   /**
-   * 渲染背景树木
+   * 画一棵积雪的松树：三层三角形树冠，每层顶端盖着雪
    */
-  renderBackgroundTrees() {
-    const treeSpacing = 150;
-    const startX = Math.floor((this.camera.x - 200) / treeSpacing) * treeSpacing;
-    const time = Date.now() * 0.001; // 生长时间因子
+  drawPineTree(ctx, colors, x, groundY, seed) {
+    const treeHeight = 55 + seed * 35;
+    const halfWidth = treeHeight * 0.3;
     
-    for (let x = startX; x < this.camera.x + this.logicalWidth + 200; x += treeSpacing) {
-      const treeHeight = 40 + Math.random() * 30;
-      // 让树木跟随相机，显示在屏幕底部
-      const treeY = this.camera.y + this.logicalHeight - 50;
-      
-      // 树干
-      this.ctx.fillStyle = '#8B4513';
-      this.ctx.fillRect(x, treeY - treeHeight * 0.3, 8, treeHeight * 0.3);
-      
-      // 树冠生长效果 - 基于时间和位置的动态大小
-      const growthFactor = 1 + Math.sin(time + x * 0.01) * 0.3; // 生长因子
-      const crownRadius = treeHeight * 0.4 * growthFactor;
-      const highlightRadius = treeHeight * 0.2 * growthFactor;
+    ctx.fillStyle = colors.trunk;
+    ctx.fillRect(x - 3, groundY - treeHeight * 0.2, 6, treeHeight * 0.2);
+    
+    for (let tier = 0; tier < 3; tier++) {
+      const tierBottom = groundY - treeHeight * (0.15 + tier * 0.25);
+      const tierTop = tierBottom - treeHeight * 0.4;
+      const tierHalfWidth = halfWidth * (1 - tier * 0.25);
       
-      // 树冠
-      this.ctx.fillStyle = '#228B22';
-      this.ctx.beginPath();
-      this.ctx.arc(x + 4, treeY - treeHeight * 0.5, crownRadius, 0, Math.PI * 2);
-      this.ctx.fill();
+      ctx.fillStyle = colors.crown;
+      ctx.beginPath();
+      ctx.moveTo(x - tierHalfWidth, tierBottom);
+      ctx.lineTo(x, tierTop);
+      ctx.lineTo(x + tierHalfWidth, tierBottom);
+      ctx.closePath();
+      ctx.fill();
       
-      // 树冠高光
-      this.ctx.fillStyle = '#32CD32';
-      this.ctx.beginPath();
-      this.ctx.arc(x + 2, treeY - treeHeight * 0.6, highlightRadius, 0, Math.PI * 2);
-      this.ctx.fill();
+      // 顶端的积雪
+      ctx.fillStyle = colors.crownHighlight;
+      ctx.beginPath();
+      ctx.moveTo(x - tierHalfWidth * 0.35, tierTop + (tierBottom - tierTop) * 0.35);
+      ctx.lineTo(x, tierTop);
+      ctx.lineTo(x + tierHalfWidth * 0.35, tierTop + (tierBottom - tierTop) * 0.35);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+  
+  /**
+   * 画一株仙人掌：圆头的主干和一两条向上弯的分枝
+   */
+  drawCactus(ctx, colors, x, groundY, seed) {
+    const height = 45 + seed * 35;
+    
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = colors.trunk;
+    ctx.lineWidth = 12;
+    ctx.beginPath();
+    ctx.moveTo(x, groundY - 6);
+    ctx.lineTo(x, groundY - height);
+    
+    // 左侧分枝
+    ctx.moveTo(x, groundY - height * 0.45);
+    ctx.lineTo(x - 14, groundY - height * 0.45);
+    ctx.lineTo(x - 14, groundY - height * 0.75);
+    
+    // 较高的仙人掌右侧再长一条
+    if (seed > 0.4) {
+      ctx.moveTo(x, groundY - height * 0.6);
+      ctx.lineTo(x + 14, groundY - height * 0.6);
+      ctx.lineTo(x + 14, groundY - height * 0.85);
+    }
+    ctx.stroke();
+    
+    // 主干高光
+    ctx.strokeStyle = colors.crownHighlight;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x - 2, groundY - 8);
+    ctx.lineTo(x - 2, groundY - height + 4);
+    ctx.stroke();
+    ctx.restore();
+  }
+  
+  /**
+   * 在当前原点画一张缓存的贴图，不支持离屏画布时直接画
+   * @param {Function} draw (ctx) 以原点为中心画出贴图内容
+   */
+  renderSprite(key, size, draw) {
+    const sprite = this.background.getSprite(key, size, draw);
+    if (sprite) {
+      this.ctx.drawImage(sprite, -size / 2, -size / 2, size, size);
+    } else {
+      draw(this.ctx);
     }
   }
   
   /**
-   * 渲染阳光效果
+   * 渲染阳光效果：太阳沿昼夜循环的弧线移动，日出日落时发红，光线缓慢转动，太阳越高光线越长
    */
-  renderSunlight() {
-    // 太阳位置调整，避免与音频按钮重叠
-    const sunX = this.logicalWidth - 80;
-    const sunY = 120; // 从60调整到120，向下移动60像素
+  renderSunlight(theme) {
+    const { sun, sunGlow } = this.daylight;
+    if (sun === null) return;
+    
+    const colors = theme.scenery;
+    const { x: sunX, y: sunY } = this.getSkyPosition(sun);
+    const height = Math.sin(Math.PI * sun);
     
     // 太阳
-    this.ctx.fillStyle = '#FFD700';
+    this.ctx.fillStyle = colors.sun;
     this.ctx.beginPath();
     this.ctx.arc(sunX, sunY, 25, 0, Math.PI * 2);
     this.ctx.fill();
+    if (sunGlow > 0) {
+      this.ctx.fillStyle = `rgba(255, 110, 50, ${sunGlow * 0.6})`;
+      this.ctx.beginPath();
+      this.ctx.arc(sunX, sunY, 25, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
     
     // 阳光光线
-    this.ctx.strokeStyle = 'rgba(255, 215, 0, 0.3)';
+    const rayLength = 5 + 15 * height;
+    const rotation = Date.now() * 0.0002;
+    this.ctx.strokeStyle = colors.sunRays;
     this.ctx.lineWidth = 2;
     for (let i = 0; i < 8; i++) {
-      const angle = (i * Math.PI * 2) / 8;
+      const angle = (i * Math.PI * 2) / 8 + rotation;
       const startX = sunX + Math.cos(angle) * 35;
       const startY = sunY + Math.sin(angle) * 35;
-      const endX = sunX + Math.cos(angle) * 50;
-      const endY = sunY + Math.sin(angle) * 50;
+      const endX = sunX + Math.cos(angle) * (35 + rayLength);
+      const endY = sunY + Math.sin(angle) * (35 + rayLength);
       
       this.ctx.beginPath();
       this.ctx.moveTo(startX, startY);
@@ -772,104 +1651,204 @@ class JumpGame {
     }
   }
   
-     /**
-    * 渲染飘落的叶子 - 优化为上半部分飞舞
-    */
-   renderFloatingLeaves() {
-     const time = Date.now() * 0.0005; // 降低运动速度
-    
-    // 定义不同类型的树叶颜色
-    const leafColors = [
-      '#228B22', // 深绿色
-      '#32CD32', // 酸橙绿
-      '#9ACD32', // 黄绿色
-      '#8FBC8F', // 深海绿
-      '#90EE90'  // 浅绿色
-    ];
-    
-         // 叶子在屏幕上半部分飞舞（0-50%的区域）
-     for (let i = 0; i < 12; i++) {
-       const x = this.camera.x + (i * this.logicalWidth / 12) + Math.sin(time + i) * 100;
-       const y = this.camera.y + this.logicalHeight * 0.1 + Math.sin(time * 0.8 + i) * (this.logicalHeight * 0.3) + Math.cos(time * 0.6 + i) * 60;
-       
-       this.ctx.save();
-       this.ctx.translate(x, y);
-       this.ctx.rotate(time + i);
-       
-       // 增大叶子尺寸
-       const leafScale = 1.5; // 增大1.5倍
-       this.ctx.scale(leafScale, leafScale);
+     /**
+    * 渲染飘落的叶子 - 优化为上半部分飞舞
+    */
+   renderFloatingLeaves() {
+     const time = Date.now() * 0.0005; // 降低运动速度
+    
+    // 定义不同类型的树叶颜色
+    const leafColors = [
+      '#228B22', // 深绿色
+      '#32CD32', // 酸橙绿
+      '#9ACD32', // 黄绿色
+      '#8FBC8F', // 深海绿
+      '#90EE90'  // 浅绿色
+    ];
+    
+         // 叶子在屏幕上半部分飞舞（0-50%的区域）
+     for (let i = 0; i < 12; i++) {
+       const x = this.renderCamera.x + (i * this.logicalWidth / 12) + Math.sin(time + i) * 100;
+       const y = this.renderCamera.y + this.logicalHeight * 0.1 + Math.sin(time * 0.8 + i) * (this.logicalHeight * 0.3) + Math.cos(time * 0.6 + i) * 60;
+       
+       this.ctx.save();
+       this.ctx.translate(x, y);
+       this.ctx.rotate(time + i);
+       
+      // 叶子形状不变，缓存为贴图后每帧只需平移旋转（增大1.5倍）
+      const color = leafColors[i % leafColors.length];
+      this.renderSprite(`leaf:${color}`, 48, ctx => {
+        ctx.scale(1.5, 1.5);
+        this.drawLeaf(ctx, color);
+      });
+      
+      this.ctx.restore();
+    }
+  }
+
+  /**
+   * 画一片心形树叶：叶片、叶脉和叶柄，以叶片中心为原点
+   */
+  drawLeaf(ctx, color) {
+    // 绘制树叶形状
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    
+    // 绘制树叶轮廓（心形叶子）
+    ctx.moveTo(0, -10);
+    ctx.bezierCurveTo(-6, -15, -12, -6, -6, 0);
+    ctx.bezierCurveTo(-12, 6, -6, 15, 0, 10);
+    ctx.bezierCurveTo(6, 15, 12, 6, 6, 0);
+    ctx.bezierCurveTo(12, -6, 6, -15, 0, -10);
+    ctx.fill();
+    
+    // 绘制叶脉
+    ctx.strokeStyle = 'rgba(0, 100, 0, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    // 主叶脉
+    ctx.moveTo(0, -10);
+    ctx.lineTo(0, 10);
+    // 侧叶脉
+    ctx.moveTo(-3, -5);
+    ctx.lineTo(0, 0);
+    ctx.moveTo(3, -5);
+    ctx.lineTo(0, 0);
+    ctx.moveTo(-3, 5);
+    ctx.lineTo(0, 0);
+    ctx.moveTo(3, 5);
+    ctx.lineTo(0, 0);
+    ctx.stroke();
+    
+    // 添加叶柄
+    ctx.strokeStyle = '#8B4513';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, 10);
+    ctx.lineTo(0, 14);
+    ctx.stroke();
+  }
+
+  /**
+   * 渲染月亮：外面一圈柔和的光晕，表面几块浅色环形山
+   * @param {{ x: number, y: number }} position 天空中的位置（见 getSkyPosition）
+   */
+  renderMoon(position) {
+    const { x: moonX, y: moonY } = position;
+    
+    const glow = this.ctx.createRadialGradient(moonX, moonY, 20, moonX, moonY, 60);
+    glow.addColorStop(0, 'rgba(244, 241, 201, 0.15)');
+    glow.addColorStop(1, 'rgba(244, 241, 201, 0)');
+    this.ctx.fillStyle = glow;
+    this.ctx.beginPath();
+    this.ctx.arc(moonX, moonY, 60, 0, Math.PI * 2);
+    this.ctx.fill();
+    
+    this.ctx.fillStyle = '#F4F1C9';
+    this.ctx.beginPath();
+    this.ctx.arc(moonX, moonY, 22, 0, Math.PI * 2);
+    this.ctx.fill();
+    
+    // 环形山
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.08)';
+    [[-7, -5, 5], [6, 4, 4], [-2, 9, 3]].forEach(([dx, dy, radius]) => {
+      this.ctx.beginPath();
+      this.ctx.arc(moonX + dx, moonY + dy, radius, 0, Math.PI * 2);
+      this.ctx.fill();
+    });
+  }
+  
+  /**
+   * 渲染星星：固定在天空上半部分，亮度各自起伏
+   */
+  renderStars() {
+    const time = Date.now() * 0.001;
+    
+    for (let i = 0; i < 50; i++) {
+      const x = this.renderCamera.x + (i * 137.5) % this.logicalWidth;
+      const y = this.renderCamera.y + (i * 71.3) % (this.logicalHeight * 0.55);
+      const twinkle = 0.4 + 0.6 * (0.5 + 0.5 * Math.sin(time * 2 + i * 1.7));
+      const size = i % 5 === 0 ? 2 : 1.2;
+      
+      this.ctx.fillStyle = `rgba(255, 255, 240, ${twinkle})`;
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, size, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
+  }
+  
+  /**
+   * 渲染飘雪：大小不一的雪花从上往下飘，一边左右摆动
+   */
+  renderSnowfall() {
+    const time = Date.now() * 0.001;
+    const height = this.logicalHeight + 20;
+    
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    for (let i = 0; i < 40; i++) {
+      const speed = 30 + (i % 3) * 15;
+      const x = this.renderCamera.x + (i * 97) % this.logicalWidth + Math.sin(time + i) * 20;
+      const y = this.renderCamera.y + (time * speed + i * 53) % height - 10;
       
-      // 绘制树叶形状
-      this.ctx.fillStyle = leafColors[i % leafColors.length];
       this.ctx.beginPath();
-      
-      // 绘制树叶轮廓（心形叶子）
-      this.ctx.moveTo(0, -10);
-      this.ctx.bezierCurveTo(-6, -15, -12, -6, -6, 0);
-      this.ctx.bezierCurveTo(-12, 6, -6, 15, 0, 10);
-      this.ctx.bezierCurveTo(6, 15, 12, 6, 6, 0);
-      this.ctx.bezierCurveTo(12, -6, 6, -15, 0, -10);
+      this.ctx.arc(x, y, 1.5 + (i % 3), 0, Math.PI * 2);
       this.ctx.fill();
+    }
+  }
+  
+  /**
+   * 渲染沙尘：细小的沙粒在画面下半部分随风横向飘过
+   */
+  renderSandDust() {
+    const time = Date.now() * 0.001;
+    const width = this.logicalWidth + 40;
+    
+    this.ctx.fillStyle = 'rgba(196, 150, 90, 0.5)';
+    for (let i = 0; i < 30; i++) {
+      const speed = 60 + (i % 4) * 20;
+      const x = this.renderCamera.x + (time * speed + i * 131) % width - 20;
+      const y = this.renderCamera.y + this.logicalHeight * 0.35 + (i * 71) % (this.logicalHeight * 0.6) + Math.sin(time * 2 + i) * 10;
       
-      // 绘制叶脉
-      this.ctx.strokeStyle = 'rgba(0, 100, 0, 0.6)';
-      this.ctx.lineWidth = 1;
       this.ctx.beginPath();
-      // 主叶脉
-      this.ctx.moveTo(0, -10);
-      this.ctx.lineTo(0, 10);
-      // 侧叶脉
-      this.ctx.moveTo(-3, -5);
-      this.ctx.lineTo(0, 0);
-      this.ctx.moveTo(3, -5);
-      this.ctx.lineTo(0, 0);
-      this.ctx.moveTo(-3, 5);
-      this.ctx.lineTo(0, 0);
-      this.ctx.moveTo(3, 5);
-      this.ctx.lineTo(0, 0);
-      this.ctx.stroke();
+      this.ctx.arc(x, y, 1.5 + (i % 3) * 0.7, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
+  }
+  
+  /**
+   * 渲染萤火虫：黄绿色的光点缓慢游动，一明一暗
+   */
+  renderFireflies() {
+    const time = Date.now() * 0.001;
+    
+    for (let i = 0; i < 14; i++) {
+      const x = this.renderCamera.x + (i * this.logicalWidth / 14) + Math.sin(time * 0.7 + i * 1.3) * 60;
+      const y = this.renderCamera.y + this.logicalHeight * 0.4 + Math.sin(time * 0.5 + i) * (this.logicalHeight * 0.25) + Math.cos(time * 0.9 + i * 2) * 30;
+      const glow = 0.5 + 0.5 * Math.sin(time * 3 + i * 1.7);
       
-      // 添加叶柄
-      this.ctx.strokeStyle = '#8B4513';
-      this.ctx.lineWidth = 2;
+      const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, 8);
+      gradient.addColorStop(0, `rgba(220, 255, 120, ${0.9 * glow})`);
+      gradient.addColorStop(1, 'rgba(220, 255, 120, 0)');
+      this.ctx.fillStyle = gradient;
       this.ctx.beginPath();
-      this.ctx.moveTo(0, 10);
-      this.ctx.lineTo(0, 14);
-      this.ctx.stroke();
-      
-      this.ctx.restore();
+      this.ctx.arc(x, y, 8, 0, Math.PI * 2);
+      this.ctx.fill();
     }
   }
 
   /**
-   * 渲染白云
+   * 画一朵白云：几个圆叠在一起，大小由 seed 决定，(x, y) 为云的中心
    */
-  renderClouds() {
-    const time = Date.now() * 0.0005; // 慢速移动
+  drawCloud(ctx, colors, x, y, seed) {
+    const scale = 0.8 + seed * 0.4;
+    const centerY = y + (seed - 0.5) * 30;
     
-    for (let i = 0; i < 4; i++) {
-      const cloudX = this.camera.x + i * 300 + time * 30 + i * 100;
-      const cloudY = 80 + Math.sin(time + i) * 20;
-      
-      // 绘制云朵
-      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-      
-      // 云朵由多个圆形组成
-      const cloudParts = [
-        { x: cloudX, y: cloudY, radius: 25 },
-        { x: cloudX + 20, y: cloudY - 5, radius: 30 },
-        { x: cloudX + 45, y: cloudY, radius: 25 },
-        { x: cloudX + 25, y: cloudY + 15, radius: 20 },
-        { x: cloudX + 10, y: cloudY + 10, radius: 18 }
-      ];
-      
-      cloudParts.forEach(part => {
-        this.ctx.beginPath();
-        this.ctx.arc(part.x, part.y, part.radius, 0, Math.PI * 2);
-        this.ctx.fill();
-      });
-    }
+    ctx.fillStyle = colors.cloud;
+    [[0, 0, 25], [20, -5, 30], [45, 0, 25], [25, 15, 20], [10, 10, 18]].forEach(([dx, dy, radius]) => {
+      ctx.beginPath();
+      ctx.arc(x + (dx - 22) * scale, centerY + dy * scale, radius * scale, 0, Math.PI * 2);
+      ctx.fill();
+    });
   }
 
   /**
@@ -909,8 +1888,8 @@ class JumpGame {
     
     // 气泡在屏幕下半部分飞舞（50-100%的区域）
     for (let i = 0; i < 15; i++) {
-      const bubbleX = this.camera.x + (i * this.logicalWidth / 15) + Math.sin(time * 0.8 + i) * 80;
-      const bubbleY = this.camera.y + this.logicalHeight * 0.6 + Math.sin(time * 0.6 + i) * (this.logicalHeight * 0.3) + Math.cos(time * 0.4 + i) * 50;
+      const bubbleX = this.renderCamera.x + (i * this.logicalWidth / 15) + Math.sin(time * 0.8 + i) * 80;
+      const bubbleY = this.renderCamera.y + this.logicalHeight * 0.6 + Math.sin(time * 0.6 + i) * (this.logicalHeight * 0.3) + Math.cos(time * 0.4 + i) * 50;
       const bubbleSize = 8 + Math.sin(time * 2 + i) * 4; // 增大气泡尺寸
       
       // 选择气泡颜色
@@ -956,8 +1935,8 @@ class JumpGame {
     
     // 蝴蝶在屏幕上半部分飞舞（0-50%的区域）
     for (let i = 0; i < 10; i++) {
-      const butterflyX = this.camera.x + (i * this.logicalWidth / 10) + Math.sin(time + i * 2) * 120;
-      const butterflyY = this.camera.y + this.logicalHeight * 0.05 + Math.sin(time * 1.2 + i) * (this.logicalHeight * 0.25) + Math.cos(time * 0.7 + i) * 80;
+      const butterflyX = this.renderCamera.x + (i * this.logicalWidth / 10) + Math.sin(time + i * 2) * 120;
+      const butterflyY = this.renderCamera.y + this.logicalHeight * 0.05 + Math.sin(time * 1.2 + i) * (this.logicalHeight * 0.25) + Math.cos(time * 0.7 + i) * 80;
       
       const wingFlap = Math.sin(time * 8 + i) * 0.3; // 翅膀扇动
       const style = butterflyStyles[i % butterflyStyles.length];
@@ -1061,8 +2040,8 @@ class JumpGame {
     
     // 花朵在屏幕上半部分飞舞（0-50%的区域）
     for (let i = 0; i < 8; i++) {
-      const flowerX = this.camera.x + (i * this.logicalWidth / 8) + Math.sin(time + i * 1.5) * 150;
-      const flowerY = this.camera.y + this.logicalHeight * 0.15 + Math.sin(time * 1.1 + i * 0.8) * (this.logicalHeight * 0.2) + Math.cos(time * 0.5 + i * 1.2) * 100;
+      const flowerX = this.renderCamera.x + (i * this.logicalWidth / 8) + Math.sin(time + i * 1.5) * 150;
+      const flowerY = this.renderCamera.y + this.logicalHeight * 0.15 + Math.sin(time * 1.1 + i * 0.8) * (this.logicalHeight * 0.2) + Math.cos(time * 0.5 + i * 1.2) * 100;
       
       const rotation = time * 2 + i * 0.5; // 花朵旋转
       const baseScale = 0.8; // 增大基础尺寸
@@ -1073,35 +2052,40 @@ class JumpGame {
       this.ctx.translate(flowerX, flowerY);
       this.ctx.rotate(rotation);
       this.ctx.scale(scale, scale);
+      this.renderSprite(`flower:${style.petal}:${style.center}`, 28, ctx => this.drawFlower(ctx, style));
+      this.ctx.restore();
+    }
+  }
+
+  /**
+   * 画一朵五瓣花，以花心为原点
+   */
+  drawFlower(ctx, style) {
+    // 绘制花瓣（5片花瓣）
+    ctx.fillStyle = style.petal;
+    for (let petal = 0; petal < 5; petal++) {
+      ctx.save();
+      ctx.rotate((petal * Math.PI * 2) / 5);
       
-      // 绘制花瓣（5片花瓣）
-      this.ctx.fillStyle = style.petal;
-      for (let petal = 0; petal < 5; petal++) {
-        this.ctx.save();
-        this.ctx.rotate((petal * Math.PI * 2) / 5);
-        
-        // 花瓣形状
-        this.ctx.beginPath();
-        this.ctx.ellipse(0, -6, 3, 6, 0, 0, Math.PI * 2);
-        this.ctx.fill();
-        
-        this.ctx.restore();
-      }
-      
-      // 绘制花心
-      this.ctx.fillStyle = style.center;
-      this.ctx.beginPath();
-      this.ctx.arc(0, 0, 2, 0, Math.PI * 2);
-      this.ctx.fill();
-      
-      // 绘制花心细节
-      this.ctx.fillStyle = '#8B4513';
-      this.ctx.beginPath();
-      this.ctx.arc(0, 0, 0.8, 0, Math.PI * 2);
-      this.ctx.fill();
+      // 花瓣形状
+      ctx.beginPath();
+      ctx.ellipse(0, -6, 3, 6, 0, 0, Math.PI * 2);
+      ctx.fill();
       
-      this.ctx.restore();
+      ctx.restore();
     }
+    
+    // 绘制花心
+    ctx.fillStyle = style.center;
+    ctx.beginPath();
+    ctx.arc(0, 0, 2, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // 绘制花心细节
+    ctx.fillStyle = '#8B4513';
+    ctx.beginPath();
+    ctx.arc(0, 0, 0.8, 0, Math.PI * 2);
+    ctx.fill();
   }
   
   /**
@@ -1116,35 +2100,109 @@ class JumpGame {
     const scoreFontSize = isMobile ? (isLandscape ? 28 : 24) : 24;
     const comboFontSize = isMobile ? (isLandscape ? 22 : 20) : 20;
     const tipFontSize = isMobile ? (isLandscape ? 18 : 16) : 20;
+    const hud = this.getHudColors();
     
          // 分数显示位置调整 - 手机端优化
-     this.ctx.fillStyle = '#333';
+     this.ctx.fillStyle = hud.text;
      this.ctx.font = `bold ${scoreFontSize}px Arial`;
      
      // 手机端将分数显示向左移动，避免与蓄力长条重叠
      const scoreX = isMobile ? (isLandscape ? 15 : 8) : 20;
-     this.ctx.fillText(`分数: ${this.score}`, scoreX, 120);
-     
-     if (this.combo > 0) {
+     this.ctx.fillText(`分数: ${this.core.score}`, scoreX, 120);
+
+    if (this.isDailyChallenge) {
+      this.ctx.fillStyle = hud.daily;
+      this.ctx.font = `bold ${Math.round(comboFontSize * 0.8)}px Arial`;
+      this.ctx.fillText(`每日挑战 ${getDailyChallengeDate()}`, scoreX, 92);
+    }
+
+     if (this.core.combo > 0) {
        this.ctx.fillStyle = '#FF6B6B';
        this.ctx.font = `bold ${comboFontSize}px Arial`;
-       this.ctx.fillText(`连击: ${this.combo}`, scoreX, 150);
+       this.ctx.fillText(`连击: ${this.core.combo}`, scoreX, 150);
      }
     
+    // 累计橡果数
+    this.ctx.fillStyle = hud.acorns;
+    this.ctx.font = `bold ${comboFontSize}px Arial`;
+    this.ctx.fillText(`🌰 ${this.stats.data.totalAcorns}`, scoreX, 180);
+    
+    this.renderPowerUpHud(scoreX, 200);
+    
          // 显示游戏状态和提示 - 手机端优化位置
      const tipY = isMobile ? (isLandscape ? this.logicalHeight - 60 : this.logicalHeight - 80) : this.logicalHeight - 40;
     
-    if (this.gameState === GAME_STATE.START) {
-      this.ctx.fillStyle = '#666';
+    if (this.replayPlayer) {
+      this.renderReplayBar(tipY, tipFontSize);
+      return;
+    }
+    
+    this.renderPauseButton();
+    
+    if (this.core.gameState === GAME_STATE.START) {
+      this.ctx.fillStyle = hud.tip;
       this.ctx.font = `${tipFontSize}px Arial`;
       this.ctx.fillText('点击屏幕开始蓄力跳跃', 20, tipY);
-    } else if (this.gameState === GAME_STATE.CHARGING) {
+    } else if (this.core.gameState === GAME_STATE.CHARGING) {
       this.ctx.fillStyle = '#FF6B6B';
       this.ctx.font = `${tipFontSize}px Arial`;
       this.ctx.fillText('蓄力中... 松开跳跃', 20, tipY);
     }
   }
 
+  /**
+   * 生效中的道具一行排开：图标和剩余时间条
+   */
+  renderPowerUpHud(x, y) {
+    const ctx = this.ctx;
+    const size = 32;
+    
+    this.core.getActivePowerUps().forEach(({ kind, timeLeft, remaining }, i) => {
+      const style = POWER_UP_STYLE[kind];
+      const left = x + i * (size + 8);
+      // 最后两秒闪烁提示即将失效
+      const blinking = timeLeft < 2000 && Math.floor(this.core.simTime / 150) % 2 === 0;
+      
+      ctx.save();
+      ctx.globalAlpha = blinking ? 0.4 : 1;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.fillRect(left, y, size, size);
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(left, y, size, size);
+      
+      ctx.font = 'bold 16px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = style.color;
+      ctx.fillText(style.icon, left + size / 2, y + size / 2);
+      
+      ctx.fillRect(left, y + size + 3, size * remaining, 4);
+      ctx.restore();
+    });
+  }
+
+  /**
+   * 回放进度条：播放状态、当前时间/总时长、播放速度
+   */
+  renderReplayBar(y, fontSize) {
+    const player = this.replayPlayer;
+    const current = player.getCurrentTime() / 1000;
+    const duration = player.getDuration() / 1000;
+    const progress = duration > 0 ? Math.min(current / duration, 1) : 1;
+    const barWidth = this.logicalWidth - 40;
+    
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
+    this.ctx.fillRect(20, y + 10, barWidth, 4);
+    this.ctx.fillStyle = '#4CAF50';
+    this.ctx.fillRect(20, y + 10, barWidth * progress, 4);
+    
+    const state = player.paused ? '⏸' : '▶';
+    this.ctx.fillStyle = this.getHudColors().text;
+    this.ctx.font = `${fontSize}px Arial`;
+    this.ctx.fillText(`回放 ${state} ${current.toFixed(1)}s / ${duration.toFixed(1)}s  ${player.speed}x`, 20, y);
+  }
+
      /**
     * 渲染蓄力指示器 - 手机端优化
     */
@@ -1185,8 +2243,13 @@ class JumpGame {
     this.ctx.fillRect(x, y, barWidth, barHeight);
     
     // 蓄力条
-    const fillWidth = (this.chargePower / CONFIG.MAX_POWER) * barWidth;
-    this.ctx.fillStyle = this.chargePower > 0.8 ? '#FF4444' : '#4CAF50';
+    const fillWidth = (this.core.chargePower / CONFIG.MAX_POWER) * barWidth;
+    if (this.core.chargeTimeScale < 1) {
+      // 慢动作蓄力
+      this.ctx.fillStyle = POWER_UP_STYLE[POWER_UP.SLOW_MOTION].color;
+    } else {
+      this.ctx.fillStyle = this.core.chargePower > 0.8 ? '#FF4444' : '#4CAF50';
+    }
     this.ctx.fillRect(x, y, fillWidth, barHeight);
     
     // 边框
@@ -1194,66 +2257,647 @@ class JumpGame {
     this.ctx.lineWidth = isMobile ? 3 : 2;
     this.ctx.strokeRect(x, y, barWidth, barHeight);
     
-    // 手机端添加蓄力百分比显示
-    if (isMobile) {
-      const percentage = Math.round((this.chargePower / CONFIG.MAX_POWER) * 100);
-      this.ctx.fillStyle = '#333';
-      this.ctx.font = `${isLandscape ? 16 : 14}px Arial`;
+    // 手机端添加蓄力百分比显示
+    if (isMobile) {
+      const percentage = Math.round((this.core.chargePower / CONFIG.MAX_POWER) * 100);
+      this.ctx.fillStyle = '#333';
+      this.ctx.font = `${isLandscape ? 16 : 14}px Arial`;
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(`${percentage}%`, x + barWidth / 2, y + barHeight + 20);
+      this.ctx.textAlign = 'left';
+    }
+  }
+
+  /**
+   * 蓄力时绘制预测的跳跃轨迹：沿途的虚线圆点，完整模式下在落点画出标记（能落上为绿色，否则为红色）
+   * @param {Function} project 航段坐标 (x, y, lateral, frame) 到当前绘制坐标的投影
+   */
+  renderTrajectory(project) {
+    const mode = this.preferences.trajectoryPreview;
+    if (mode === TRAJECTORY_PREVIEW.OFF || this.replayPlayer || this.core.gameState !== GAME_STATE.CHARGING) return;
+    
+    const { points, frame, contact } = this.core.predictJump();
+    const visible = mode === TRAJECTORY_PREVIEW.FULL
+      ? points
+      : points.slice(0, Math.ceil(points.length * PARTIAL_PREVIEW_RATIO));
+    
+    this.ctx.save();
+    for (let i = 2; i < visible.length; i += 3) {
+      const point = project(visible[i].x, visible[i].y, visible[i].lateral, frame);
+      // 部分预览越往后越淡
+      const fade = mode === TRAJECTORY_PREVIEW.FULL ? 1 : 1 - i / visible.length;
+      this.ctx.fillStyle = `rgba(255, 255, 255, ${0.9 * fade})`;
+      this.ctx.beginPath();
+      this.ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
+    
+    if (mode === TRAJECTORY_PREVIEW.FULL && points.length > 0) {
+      const last = points[points.length - 1];
+      const target = project(last.x, last.y, last.lateral, frame);
+      this.ctx.strokeStyle = contact && contact.type === 'land' ? '#4CAF50' : '#FF4444';
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      this.ctx.ellipse(target.x, target.y, 14, 6, 0, 0, Math.PI * 2);
+      this.ctx.stroke();
+    }
+    this.ctx.restore();
+  }
+
+  /**
+   * 绘制还没被拾取的橡果，随模拟时钟轻轻上下浮动
+   * @param {Function} project 航段坐标 (x, y, lateral, frame) 到绘制坐标的投影
+   */
+  renderAcorns(project) {
+    const ctx = this.ctx;
+    const bob = Math.sin((this.core.simTime / ACORN_BOB_PERIOD) * Math.PI * 2) * 3;
+    
+    this.core.acorns.forEach(acorn => {
+      if (acorn.collected) return;
+      const center = project(acorn.x, acorn.y + bob, 0, acorn.frame);
+      
+      ctx.save();
+      ctx.translate(center.x, center.y);
+      
+      // 果实
+      ctx.fillStyle = '#B5723A';
+      ctx.beginPath();
+      ctx.ellipse(0, 3, 8, 9, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+      ctx.beginPath();
+      ctx.ellipse(-3, 2, 2, 4, 0, 0, Math.PI * 2);
+      ctx.fill();
+      
+      // 壳斗和果柄
+      ctx.fillStyle = '#6B4423';
+      ctx.beginPath();
+      ctx.ellipse(0, -4, 10, 5, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillRect(-1, -12, 2, 5);
+      
+      ctx.restore();
+    });
+  }
+
+  /**
+   * 在奖励平台上等待时，在玩家头顶绘制倒计时圆环
+   * @param {Function} project 航段坐标 (x, y, lateral) 到绘制坐标的投影
+   */
+  renderBonusCountdown(project) {
+    const progress = this.core.getBonusProgress();
+    if (progress === null || this.core.gameState !== GAME_STATE.START) return;
+    
+    const ctx = this.ctx;
+    const player = this.core.player;
+    const style = BONUS_KIND_STYLE[this.core.bonusStay.platform.bonusKind];
+    const center = project(player.x + CONFIG.PLAYER_SIZE / 2, player.y - 22, player.lateral);
+    const radius = 16;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // 从正上方顺时针走满一圈
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, radius, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+    ctx.stroke();
+    
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(style.icon, center.x, center.y + 1);
+    ctx.restore();
+  }
+
+  /**
+   * 平台类型的外观，没有登记时返回空对象
+   */
+  getPlatformRenderer(platform) {
+    return PLATFORM_TYPE_RENDERERS[platform.type] || {};
+  }
+
+  /**
+   * 整个平台的抖动偏移和透明度，由平台类型的外观决定
+   */
+  getPlatformEffect(platform) {
+    const renderer = this.getPlatformRenderer(platform);
+    return renderer.effect ? renderer.effect(this, platform) : { shake: 0, alpha: 1 };
+  }
+
+  /**
+   * 绘制平台徽章，图标和颜色由平台类型的外观决定，没有徽章的类型不画
+   * 奖励平台等待领奖时跳动，领取后变灰；侧视图和等距视图共用
+   */
+  renderPlatformBadge(x, y, platform) {
+    const renderer = this.getPlatformRenderer(platform);
+    if (!renderer.badge) return;
+    
+    const style = renderer.badge(platform);    
+    const ctx = this.ctx;
+    const stay = this.core.bonusStay;
+    const pulse = stay && stay.platform === platform ? 1 + 0.15 * Math.sin(stay.elapsed / 80) : 1;
+    const radius = 9 * pulse;
+    
+    ctx.save();
+    ctx.globalAlpha = platform.bonusCollected ? 0.5 : 1;
+    ctx.fillStyle = platform.bonusCollected ? '#9E9E9E' : style.color;
+    ctx.strokeStyle = '#FFF';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.font = `bold ${Math.round(11 * pulse)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#FFF';
+    ctx.fillText(style.icon, x, y + 1);
+    ctx.restore();
+  }
+
+  /**
+   * 绘制平台上方等待拾取的道具：上下浮动的彩色气泡
+   */
+  renderPowerUpItem(x, y, kind) {
+    const style = POWER_UP_STYLE[kind];
+    const ctx = this.ctx;
+    const bob = Math.sin((this.core.simTime / ACORN_BOB_PERIOD) * Math.PI * 2) * 4;
+    
+    ctx.save();
+    ctx.fillStyle = style.color;
+    ctx.globalAlpha = 0.85;
+    ctx.strokeStyle = '#FFF';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y + bob, 14, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.globalAlpha = 1;
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#FFF';
+    ctx.fillText(style.icon, x, y + bob + 1);
+    ctx.restore();
+  }
+
+  /**
+   * 玩家身上的道具光环：护盾是半透明气泡，磁铁是表示拾取范围的虚线圈
+   */
+  renderPlayerAura(x, y, radius) {
+    const ctx = this.ctx;
+    
+    if (this.core.isPowerUpActive(POWER_UP.MAGNET)) {
+      ctx.save();
+      ctx.strokeStyle = POWER_UP_STYLE[POWER_UP.MAGNET].color;
+      ctx.globalAlpha = 0.5;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 6]);
+      ctx.lineDashOffset = -this.core.simTime / 30;
+      ctx.beginPath();
+      ctx.arc(x, y, CONFIG.MAGNET_RADIUS, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.restore();
+    }
+    
+    if (this.core.isPowerUpActive(POWER_UP.SHIELD)) {
+      ctx.save();
+      ctx.fillStyle = 'rgba(66, 165, 245, 0.2)';
+      ctx.strokeStyle = POWER_UP_STYLE[POWER_UP.SHIELD].color;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  /**
+   * 碎裂平台的抖动偏移和透明度：被踩上后越抖越厉害，塌落后逐渐淡出
+   */
+  getCrumbleEffect(platform) {
+    if (platform.triggerTime === null) {
+      return { shake: 0, alpha: 1 };
+    }
+    
+    const elapsed = this.core.simTime - platform.triggerTime;
+    if (!platform.crumbled) {
+      return { shake: Math.sin(elapsed / 20) * 3 * Math.min(elapsed / CONFIG.CRUMBLE_DELAY, 1), alpha: 1 };
+    }
+    return { shake: 0, alpha: Math.max(0, 1 - (elapsed - CONFIG.CRUMBLE_DELAY) / CRUMBLE_FADE_TIME) };
+  }
+
+  /**
+   * 渲染游戏结束界面 - 手机端优化
+   */
+  renderGameOver() {
+    // 检测是否为手机设备
+    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    const isLandscape = this.logicalWidth > this.logicalHeight;
+    
+    // 半透明遮罩
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
+    
+    // 在遮罩上方继续显示主题的装饰（森林中是气泡）
+    const theme = this.getTheme();
+    this.ctx.save();
+    this.ctx.translate(-this.renderCamera.x, -this.renderCamera.y);
+    BACKGROUND_LAYER_RENDERERS[theme.overlay](this, theme);
+    this.ctx.restore();
+    
+    if (this.gameOverPanel === 'stats') {
+      this.renderStatsScreen();
+      return;
+    }
+    if (this.gameOverPanel === 'leaderboard') {
+      this.renderLeaderboard();
+      return;
+    }
+    if (this.gameOverPanel === 'skins') {
+      this.renderSkinScreen();
+      return;
+    }
+    
+    // 根据设备类型调整字体大小
+    const titleFontSize = isMobile ? (isLandscape ? 42 : 36) : 48;
+    const scoreFontSize = isMobile ? (isLandscape ? 28 : 24) : 32;
+    const tipFontSize = isMobile ? (isLandscape ? 20 : 18) : 24;
+    
+    // 游戏结束文字
+    this.ctx.fillStyle = 'white';
+    this.ctx.font = `bold ${titleFontSize}px Arial`;
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText('游戏结束', this.logicalWidth / 2, this.logicalHeight / 2 - 50);
+    
+    this.ctx.font = `bold ${scoreFontSize}px Arial`;
+    this.ctx.fillText(`最终分数: ${this.core.score}`, this.logicalWidth / 2, this.logicalHeight / 2);
+    
+    this.ctx.font = `${tipFontSize}px Arial`;
+    const restartTip = this.replayPlayer ? '回放结束，点击屏幕返回' : '点击屏幕重新开始';
+    this.ctx.fillText(restartTip, this.logicalWidth / 2, this.logicalHeight / 2 + 50);
+    
+    // 显示关卡种子，便于分享和复现
+    this.ctx.font = `${Math.round(tipFontSize * 0.7)}px Arial`;
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    let seedText = this.isDailyChallenge
+      ? `每日挑战 ${getDailyChallengeDate()} · 种子: ${this.seed}`
+      : `种子: ${this.seed}`;
+    if (this.aidUsed && !this.replayPlayer) {
+      seedText += ` · 🎯 使用了轨迹预览（${TRAJECTORY_PREVIEW_LABELS[this.aidUsed]}）`;
+    }
+    this.ctx.fillText(seedText, this.logicalWidth / 2, this.logicalHeight / 2 + 85);
+    
+    // 回放中不统计，也不显示纪录和统计入口
+    const lastRun = this.stats.lastRun;
+    if (this.replayPlayer || !lastRun) {
+      this.gameOverButtons = [];
+      this.ctx.textAlign = 'left';
+      return;
+    }
+    
+    // 打破纪录时祝贺，否则显示当前最高分
+    const recordY = this.logicalHeight / 2 - 50 - titleFontSize;
+    if (lastRun.newBestScore || lastRun.newBestCombo) {
+      this.ctx.fillStyle = '#FFD700';
+      this.ctx.font = `bold ${tipFontSize}px Arial`;
+      const recordText = lastRun.newBestScore ? '🎉 新纪录！' : `🎉 最高连击新纪录：${lastRun.maxCombo}`;
+      this.ctx.fillText(recordText, this.logicalWidth / 2, recordY);
+    } else {
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      this.ctx.font = `${tipFontSize}px Arial`;
+      this.ctx.fillText(`最高分: ${this.stats.data.bestScore}`, this.logicalWidth / 2, recordY);
+    }
+    
+    // “查看统计”“好友排行”“选择角色”按钮
+    const buttons = [{ label: '📊 查看统计', panel: 'stats' }];
+    if (this.leaderboard) {
+      buttons.push({ label: '🏆 好友排行', panel: 'leaderboard' });
+    }
+    buttons.push({ label: '🐿️ 选择角色', panel: 'skins' });
+    const buttonGap = 20;
+    const buttonWidth = Math.min(140, (this.logicalWidth - 40) / buttons.length - buttonGap);
+    const buttonHeight = tipFontSize + 16;
+    const startX = this.logicalWidth / 2 - (buttons.length * (buttonWidth + buttonGap) - buttonGap) / 2;
+    
+    this.gameOverButtons = buttons.map((button, i) => ({
+      panel: button.panel,
+      label: button.label,
+      x: startX + i * (buttonWidth + buttonGap),
+      y: this.logicalHeight / 2 + 100,
+      width: buttonWidth,
+      height: buttonHeight
+    }));
+    this.renderButtons(this.gameOverButtons, tipFontSize);
+    
+    // 本局新解锁的角色
+    if (this.skins.newlyUnlocked.length > 0) {
+      const names = this.skins.newlyUnlocked.map(id => SKIN_SPEC[id].name).join('、');
+      this.ctx.fillStyle = '#FFD700';
+      this.ctx.font = `bold ${tipFontSize}px Arial`;
       this.ctx.textAlign = 'center';
-      this.ctx.fillText(`${percentage}%`, x + barWidth / 2, y + barHeight + 20);
-      this.ctx.textAlign = 'left';
+      this.ctx.fillText(`🎁 解锁新角色：${names}`, this.logicalWidth / 2, this.logicalHeight / 2 + 100 + buttonHeight + tipFontSize * 1.5);
     }
+    
+    this.ctx.textAlign = 'left';
   }
 
   /**
-   * 渲染游戏结束界面 - 手机端优化
+   * 绘制一组文字按钮
    */
-  renderGameOver() {
-    // 检测是否为手机设备
+  renderButtons(buttons, fontSize) {
+    this.ctx.font = `${fontSize}px Arial`;
+    this.ctx.textAlign = 'center';
+    buttons.forEach(button => {
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+      this.ctx.fillRect(button.x, button.y, button.width, button.height);
+      this.ctx.fillStyle = 'white';
+      this.ctx.fillText(button.label, button.x + button.width / 2, button.y + button.height / 2 + fontSize / 3);
+    });
+    this.ctx.textAlign = 'left';
+  }
+
+  /**
+   * 游戏中左上角的暂停按钮，游戏结束时不显示
+   */
+  renderPauseButton() {
+    if (this.core.gameState === GAME_STATE.GAME_OVER || this.isPaused()) {
+      this.pauseButton = null;
+      return;
+    }
+    
+    const size = 40;
+    this.pauseButton = { x: 15, y: 15, width: size, height: size };
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+    this.ctx.fillRect(this.pauseButton.x, this.pauseButton.y, size, size);
+    
+    // 两道竖线
+    this.ctx.fillStyle = 'white';
+    this.ctx.fillRect(this.pauseButton.x + size * 0.3, this.pauseButton.y + size * 0.25, size * 0.14, size * 0.5);
+    this.ctx.fillRect(this.pauseButton.x + size * 0.56, this.pauseButton.y + size * 0.25, size * 0.14, size * 0.5);
+  }
+
+  /**
+   * 暂停界面：主菜单（继续、重新开始、设置）或设置页
+   */
+  renderPauseScreen() {
     const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    const isLandscape = this.logicalWidth > this.logicalHeight;
+    const titleFontSize = isMobile ? 36 : 42;
+    const fontSize = isMobile ? 18 : 20;
+    const centerX = this.logicalWidth / 2;
     
     // 半透明遮罩
-    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
     this.ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
     
-    // 在遮罩上方继续显示气泡
-    this.ctx.save();
-    this.ctx.translate(-this.camera.x, -this.camera.y);
-    this.renderBubbles();
-    this.ctx.restore();
+    let title;
+    let items;
+    if (this.pauseView === 'settings') {
+      const soundLabel = !this.audioManager
+        ? '🔇 音效：不可用'
+        : `${this.audioManager.soundEnabled ? '🔊' : '🔇'} 音效：${this.audioManager.soundEnabled ? '开' : '关'}`;
+      const themeLabel = THEME_SPEC[this.preferences.theme] ? THEME_SPEC[this.preferences.theme].name : '自动（随分数变化）';
+      title = '设置';
+      items = [
+        { action: this.audioManager ? 'sound' : null, label: soundLabel },
+        { action: 'trajectory', label: `🎯 轨迹预览：${TRAJECTORY_PREVIEW_LABELS[this.preferences.trajectoryPreview]}` },
+        { action: 'chargeCurve', label: `📈 蓄力方式：${CHARGE_CURVE_LABELS[this.preferences.chargeCurve]}（重新开始）` },
+        { action: 'theme', label: `🎨 画面主题：${themeLabel}` },
+        { action: 'view', label: this.renderMode === RENDER_MODE.ISOMETRIC ? '🧊 切换为侧视图（重新开始）' : '🧊 切换为立体视角（重新开始）' },
+        { action: 'back', label: '↩ 返回' }
+      ];
+    } else {
+      title = '已暂停';
+      items = [
+        { action: 'resume', label: '▶ 继续游戏' },
+        { action: 'restart', label: '🔄 重新开始' },
+        { action: 'settings', label: '⚙️ 设置' }
+      ];
+    }
     
-    // 根据设备类型调整字体大小
-    const titleFontSize = isMobile ? (isLandscape ? 42 : 36) : 48;
-    const scoreFontSize = isMobile ? (isLandscape ? 28 : 24) : 32;
-    const tipFontSize = isMobile ? (isLandscape ? 20 : 18) : 24;
+    const buttonWidth = Math.min(260, this.logicalWidth * 0.7);
+    const buttonHeight = fontSize + 20;
+    const buttonGap = 14;
+    const totalHeight = titleFontSize + 30 + items.length * (buttonHeight + buttonGap) - buttonGap;
+    const top = (this.logicalHeight - totalHeight) / 2;
     
-    // 游戏结束文字
     this.ctx.fillStyle = 'white';
     this.ctx.font = `bold ${titleFontSize}px Arial`;
     this.ctx.textAlign = 'center';
-    this.ctx.fillText('游戏结束', this.logicalWidth / 2, this.logicalHeight / 2 - 50);
+    this.ctx.fillText(title, centerX, top + titleFontSize);
+    
+    this.pauseButtons = items.map((item, i) => ({
+      action: item.action,
+      label: item.label,
+      x: centerX - buttonWidth / 2,
+      y: top + titleFontSize + 30 + i * (buttonHeight + buttonGap),
+      width: buttonWidth,
+      height: buttonHeight
+    }));
+    this.renderButtons(this.pauseButtons, fontSize);
+  }
+
+  /**
+   * 好友排行面板的位置和尺寸
+   */
+  getLeaderboardRect() {
+    const width = Math.min(420, this.logicalWidth * 0.8);
+    const height = Math.min(360, this.logicalHeight * 0.75);
+    return {
+      x: (this.logicalWidth - width) / 2,
+      y: (this.logicalHeight - height) / 2 - 15,
+      width,
+      height
+    };
+  }
+
+  /**
+   * 好友排行页：由排行榜实现绘制到画布上
+   */
+  renderLeaderboard() {
+    const rect = this.getLeaderboardRect();
+    this.leaderboard.render(this.ctx, rect.x, rect.y, rect.width, rect.height);
     
-    this.ctx.font = `bold ${scoreFontSize}px Arial`;
-    this.ctx.fillText(`最终分数: ${this.score}`, this.logicalWidth / 2, this.logicalHeight / 2);
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    this.ctx.font = '14px Arial';
+    this.ctx.textAlign = 'center';
+    this.ctx.fillText('点击屏幕返回', this.logicalWidth / 2, rect.y + rect.height + 22);
+    this.ctx.textAlign = 'left';
+  }
+
+  /**
+   * 统计页：纪录、累计数据和最近对局的分数走势
+   */
+  renderStatsScreen() {
+    const ctx = this.ctx;
+    const data = this.stats.data;
+    const centerX = this.logicalWidth / 2;
+    const fontSize = Math.max(14, Math.min(20, Math.round(this.logicalHeight / 24)));
+    let y = Math.max(40, this.logicalHeight * 0.15);
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'white';
+    ctx.font = `bold ${Math.round(fontSize * 1.6)}px Arial`;
+    ctx.fillText('📊 我的统计', centerX, y);
+    
+    const lines = [
+      `最高分: ${data.bestScore}    最高连击: ${data.bestCombo}`,
+      `总局数: ${data.totalRuns}    总跳跃: ${data.totalJumps}`,
+      `完美着陆率: ${Math.round(this.stats.getPerfectRate() * 100)}%    累计橡果: ${data.totalAcorns}`
+    ];
+    ctx.font = `${fontSize}px Arial`;
+    lines.forEach(line => {
+      y += fontSize * 1.8;
+      ctx.fillText(line, centerX, y);
+    });
     
-    this.ctx.font = `${tipFontSize}px Arial`;
-    this.ctx.fillText('点击屏幕重新开始', this.logicalWidth / 2, this.logicalHeight / 2 + 50);
+    // 最近对局的分数柱状图
+    const scores = this.stats.getRecentScores(10);
+    const chartHeight = Math.min(100, this.logicalHeight * 0.2);
+    const barWidth = 18;
+    const gap = 8;
+    const chartWidth = scores.length * (barWidth + gap) - gap;
+    const maxScore = Math.max(1, ...scores);
+    const chartBottom = y + fontSize + chartHeight;
+    
+    scores.forEach((score, i) => {
+      const height = Math.max(2, (score / maxScore) * chartHeight);
+      const x = centerX - chartWidth / 2 + i * (barWidth + gap);
+      // 最近一局高亮显示
+      ctx.fillStyle = i === scores.length - 1 ? '#FFD700' : 'rgba(255, 255, 255, 0.6)';
+      ctx.fillRect(x, chartBottom - height, barWidth, height);
+    });
     
-    this.ctx.textAlign = 'left';
+    // 趋势
+    const trend = this.stats.getScoreTrend();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = `${fontSize}px Arial`;
+    let trendText = '再玩几局就能看到趋势';
+    if (trend !== null) {
+      trendText = trend >= 0
+        ? `📈 最近平均分提高了 ${trend.toFixed(1)}`
+        : `📉 最近平均分下降了 ${(-trend).toFixed(1)}`;
+    }
+    ctx.fillText(trendText, centerX, chartBottom + fontSize * 1.8);
+    
+    ctx.font = `${Math.round(fontSize * 0.8)}px Arial`;
+    ctx.fillText('点击屏幕返回', centerX, chartBottom + fontSize * 3.6);
+    
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * 角色选择页：每个皮肤一张卡片，已解锁的显示身形，未解锁的显示条件和进度，当前使用的高亮
+   */
+  renderSkinScreen() {
+    const ctx = this.ctx;
+    const centerX = this.logicalWidth / 2;
+    const fontSize = Math.max(12, Math.min(16, Math.round(this.logicalHeight / 30)));
+    const ids = Object.keys(SKIN_SPEC);
+    const selected = this.skins.getSelected().id;
+    
+    const gap = 12;
+    const cardWidth = Math.min(130, (this.logicalWidth - 40) / ids.length - gap);
+    const cardHeight = cardWidth + fontSize * 4.5;
+    const left = centerX - (ids.length * (cardWidth + gap) - gap) / 2;
+    const top = Math.max(70, (this.logicalHeight - cardHeight) / 2);
+    
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'white';
+    ctx.font = `bold ${Math.round(fontSize * 1.8)}px Arial`;
+    ctx.fillText('🐿️ 选择角色', centerX, top - fontSize * 1.5);
+    
+    this.skinCards = ids.map((id, i) => ({ id, x: left + i * (cardWidth + gap), y: top, width: cardWidth, height: cardHeight }));
+    this.skinCards.forEach(card => {
+      const spec = SKIN_SPEC[card.id];
+      const unlocked = this.skins.isUnlocked(card.id);
+      const cardCenterX = card.x + cardWidth / 2;
+      
+      ctx.fillStyle = unlocked ? 'rgba(44, 85, 48, 0.95)' : 'rgba(30, 50, 34, 0.95)';
+      ctx.fillRect(card.x, card.y, cardWidth, cardHeight);
+      if (card.id === selected) {
+        ctx.strokeStyle = '#FFD700';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(card.x, card.y, cardWidth, cardHeight);
+      }
+      
+      // 未解锁的角色半透明显示
+      const image = this.getSkinImage(card.id);
+      const imageSize = cardWidth * 0.8;
+      if (image) {
+        ctx.globalAlpha = unlocked ? 1 : 0.3;
+        ctx.drawImage(image, cardCenterX - imageSize / 2, card.y + cardWidth * 0.1, imageSize, imageSize);
+        ctx.globalAlpha = 1;
+      }
+      
+      let y = card.y + cardWidth + fontSize;
+      ctx.fillStyle = unlocked ? 'white' : 'rgba(255, 255, 255, 0.6)';
+      ctx.font = `bold ${fontSize}px Arial`;
+      ctx.fillText(unlocked ? spec.name : `🔒 ${spec.name}`, cardCenterX, y);
+      
+      y += fontSize * 1.5;
+      ctx.font = `${Math.round(fontSize * 0.85)}px Arial`;
+      if (card.id === selected) {
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText('✔ 使用中', cardCenterX, y);
+      } else if (unlocked) {
+        const build = spec.hitbox < 1 ? '身形纤细' : (spec.hitbox > 1 ? '身形宽大' : '身形标准');
+        ctx.fillText(build, cardCenterX, y);
+      } else {
+        const progress = this.skins.getUnlockProgress(card.id);
+        ctx.fillText(`${progress.label} ${progress.target}`, cardCenterX, y);
+        y += fontSize * 1.3;
+        ctx.fillText(`（${Math.min(progress.current, progress.target)}/${progress.target}）`, cardCenterX, y);
+      }
+    });
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = `${fontSize}px Arial`;
+    ctx.fillText('点击角色更换，点击空白处返回', centerX, top + cardHeight + fontSize * 2);
+    
+    ctx.textAlign = 'left';
   }
 
   /**
-   * 开始游戏循环
+   * 开始游戏循环 - 固定步长模拟 + 渲染插值
+   * 无论屏幕是30Hz还是144Hz，每秒都执行相同次数的物理更新
    */
   startGameLoop() {
-    const gameLoop = () => {
-      this.update();
-      this.render();
+    this.lastFrameTime = null;
+    this.accumulator = 0;
+    
+    const gameLoop = (timestamp) => {
+      if (this.lastFrameTime === null) {
+        this.lastFrameTime = timestamp;
+      }
+      
+      // 手柄只能轮询，每帧读取一次按键
+      this.input.pollGamepads();
+      
+      // 累积真实经过的时间，按固定步长消耗
+      const frameTime = Math.min(timestamp - this.lastFrameTime, CONFIG.MAX_FRAME_TIME);
+      this.lastFrameTime = timestamp;
+      this.accumulator += frameTime * this.getTimeScale();
+      
+      while (this.accumulator >= CONFIG.FIXED_TIMESTEP) {
+        this.update();
+        this.accumulator -= CONFIG.FIXED_TIMESTEP;
+      }
+      
+      this.render(this.accumulator / CONFIG.FIXED_TIMESTEP);
       this.animationId = requestAnimationFrame(gameLoop);
     };
     
-    gameLoop();
+    this.animationId = requestAnimationFrame(gameLoop);
   }
 
   /**
@@ -1265,143 +2909,372 @@ class JumpGame {
       this.animationId = null;
     }
   }
-}
-
-/**
- * 玩家类
- */
-class Player {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.vx = 0;
-    this.vy = 0;
-    this.isJumping = false;
-    this.size = CONFIG.PLAYER_SIZE;
-    this.squirrelImage = null;
-    this.loadSquirrelImage();
-  }
-
-     loadSquirrelImage() {
-     // 检查环境是否支持Image构造函数
-     if (typeof Image !== 'undefined') {
-       this.squirrelImage = new Image();
-       this.squirrelImage.onload = () => {
-         console.log('松鼠图像加载成功');
-       };
-       this.squirrelImage.onerror = () => {
-         console.warn('松鼠图像加载失败，使用备用渲染');
-         this.squirrelImage = null;
-       };
-       this.squirrelImage.src = 'images/squirrel.svg';
-     } else {
-       console.warn('Image构造函数不可用，使用备用渲染');
-       this.squirrelImage = null;
-     }
-   }
-
-  jump(power, horizontalSpeed) {
-    this.vy = -CONFIG.JUMP_FORCE * power;
-    this.vx = horizontalSpeed;
-    this.isJumping = true;
-  }
 
-  update() {
-    if (this.isJumping) {
-      this.x += this.vx;
-      this.y += this.vy;
-      this.vy += CONFIG.GRAVITY;
+  /**
+   * 加载所有皮肤的角色图片（选择界面需要预览未使用的皮肤）
+   */
+  loadSkinImages() {
+    // 检查环境是否支持Image构造函数
+    if (typeof Image === 'undefined') {
+      console.warn('Image构造函数不可用，使用备用渲染');
+      return;
     }
+    
+    Object.keys(SKIN_SPEC).forEach(id => {
+      const image = new Image();
+      image.onerror = () => {
+        console.warn(`角色图像加载失败，使用备用渲染: ${SKIN_SPEC[id].image}`);
+        delete this.skinImages[id];
+      };
+      image.src = SKIN_SPEC[id].image;
+      this.skinImages[id] = image;
+    });
   }
 
-  land(y) {
-    this.y = y;
-    this.vx = 0;
-    this.vy = 0;
-    this.isJumping = false;
+  /**
+   * 已加载完成的角色图片，没有时返回 null
+   */
+  getSkinImage(id) {
+    const image = this.skinImages[id];
+    return image && image.complete ? image : null;
   }
 
-  isLanding() {
-    return this.isJumping && this.vy > 0 && this.y >= CONFIG.GROUND_Y - this.size;
+  /**
+   * 渲染玩家
+   */
+  renderPlayer(alpha) {
+    const player = this.core.player;
+    const ctx = this.ctx;
+    
+    // 在上一步与当前步之间插值
+    const x = player.prevX + (player.x - player.prevX) * alpha;
+    const y = player.prevY + (player.y - player.prevY) * alpha;
+    
+    this.renderSquirrel(ctx, x + player.size / 2, y + player.size, player.size, 1, alpha);
+    this.renderPlayerAura(x + player.size / 2, y + player.size / 2, player.size * 0.6);
   }
 
-  render(ctx) {
-    if (this.squirrelImage && this.squirrelImage.complete) {
-      // 使用SVG图片渲染松鼠
-      ctx.drawImage(
-        this.squirrelImage,
-        this.x,
-        this.y,
-        this.size,
-        this.size
-      );
+  /**
+   * 按动画姿态绘制松鼠，侧视图和等距视图共用
+   * @param {number} feetX 脚底中心的绘制坐标
+   * @param {number} feetY
+   * @param {number} size 松鼠的绘制尺寸
+   * @param {number} facing 朝向，1 朝右，-1 水平镜像
+   */
+  renderSquirrel(ctx, feetX, feetY, size, facing, alpha) {
+    const pose = this.animator.getPose(alpha);
+    
+    // 以脚底为锚点缩放，再绕身体中心旋转
+    ctx.save();
+    ctx.translate(feetX, feetY - pose.lift * size);
+    ctx.scale(facing * pose.scaleX, pose.scaleY);
+    ctx.translate(0, -size / 2);
+    ctx.rotate(pose.rotation);
+    
+    const image = this.getSkinImage(this.skins.getSelected().id);
+    if (image) {
+      // 使用当前皮肤的SVG图片渲染角色
+      ctx.drawImage(image, -size / 2, -size / 2, size, size);
     } else {
       // 图片未加载完成时的备用渲染
       ctx.fillStyle = CONFIG.PLAYER_COLOR;
-      ctx.fillRect(this.x, this.y, this.size, this.size);
+      ctx.fillRect(-size / 2, -size / 2, size, size);
       
       // 简单的松鼠形状作为备用
       ctx.fillStyle = '#CD853F';
       ctx.beginPath();
-      ctx.arc(this.x + this.size/2, this.y + this.size/2, this.size/3, 0, Math.PI * 2);
+      ctx.arc(0, 0, size / 3, 0, Math.PI * 2);
       ctx.fill();
     }
-  }
-}
-
-/**
- * 平台类
- */
-class Platform {
-  constructor(x, y, type = PLATFORM_TYPE.NORMAL) {
-    this.x = x;
-    this.y = y;
-    this.width = CONFIG.PLATFORM_WIDTH;
-    this.height = CONFIG.PLATFORM_HEIGHT;
-    this.type = type;
+    ctx.restore();
   }
 
-  render(ctx) {
-    // 所有平台使用统一的草地样式
-    this.renderGrassland(ctx);
+  /**
+   * 渲染平台
+   */
+  renderPlatform(platform) {
+    const ctx = this.ctx;
+    const renderer = this.getPlatformRenderer(platform);
+    const effect = this.getPlatformEffect(platform);
+    if (effect.alpha <= 0) return;
+    
+    ctx.save();
+    ctx.translate(effect.shake, 0);
+    ctx.globalAlpha = effect.alpha;
+    
+    // 所有平台使用当前主题的样式，按形状绘制主体，再按光照方向加上背光面的阴影
+    this.renderGrassland(platform, this.getTheme());
+    this.renderPlatformShading(platform);
+    
+    // 平台类型的附加绘制（弹簧等）和正面徽章
+    if (renderer.side) {
+      renderer.side(this, platform);
+    }
+    this.renderPlatformBadge(platform.x + platform.width / 2, platform.y + platform.height / 2, platform);
+    if (platform.powerUp) {
+      this.renderPowerUpItem(platform.x + platform.width / 2, platform.y - 30, platform.powerUp);
+    }
     
     // 绘制中心点标记（用于完美着陆）
-    const centerX = this.x + this.width / 2;
+    const centerX = platform.x + platform.width / 2;
     ctx.fillStyle = '#FFF';
     ctx.beginPath();
-    ctx.arc(centerX, this.y - 5, 2, 0, Math.PI * 2);
+    ctx.arc(centerX, platform.y - 5, 2, 0, Math.PI * 2);
     ctx.fill();
+    ctx.restore();
   }
   
-  renderGrassland(ctx) {
-    // 绘制森林地面底色（深棕色土壤）
-    ctx.fillStyle = '#8B4513';
-    ctx.fillRect(this.x, this.y, this.width, this.height);
+  /**
+   * 平台的明暗：朝向太阳（夜里是月亮）的一侧保持原色，背光的一侧渐渐变暗；
+   * 树桩的截面朝上，不受侧光影响
+   */
+  renderPlatformShading(platform) {
+    const { x: lightX, strength } = this.daylight.light;
+    if (strength <= 0) return;
+    
+    const ctx = this.ctx;
+    const litX = lightX < 0 ? platform.x : platform.x + platform.width;
+    const gradient = ctx.createLinearGradient(litX, 0, platform.x * 2 + platform.width - litX, 0);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    gradient.addColorStop(1, `rgba(0, 0, 0, ${strength})`);
+    ctx.fillStyle = gradient;
+    
+    if (platform.shape === PLATFORM_SHAPE.LOG) {
+      const radius = platform.height / 2;
+      const centerY = platform.y + radius;
+      ctx.beginPath();
+      ctx.moveTo(platform.x + radius, platform.y);
+      ctx.lineTo(platform.x + platform.width - radius, platform.y);
+      ctx.arc(platform.x + platform.width - radius, centerY, radius, -Math.PI / 2, Math.PI / 2);
+      ctx.lineTo(platform.x + radius, platform.y + platform.height);
+      ctx.arc(platform.x + radius, centerY, radius, Math.PI / 2, Math.PI * 1.5);
+      ctx.fill();
+    } else if (platform.shape === PLATFORM_SHAPE.ROUND) {
+      const cutDepth = Math.min(6, platform.height * 0.3);
+      ctx.fillRect(platform.x + 2, platform.y + cutDepth, platform.width - 4, platform.getBodyBottom() - platform.y - cutDepth);
+    } else {
+      ctx.fillRect(platform.x, platform.y, platform.width, platform.getBodyBottom() - platform.y);
+    }
+  }
+
+  /**
+   * 渲染弹簧：粉色弹簧圈 + 顶板，落上去后按压缩进度被压扁
+   */
+  renderSpring(platform) {
+    const ctx = this.ctx;
+    const pending = this.core.pendingSpring;
+    const compression = pending && pending.platform === platform
+      ? 1 - pending.steps / CONFIG.SPRING_DELAY
+      : 0;
+    
+    const centerX = platform.x + platform.width / 2;
+    const coilWidth = platform.width * 0.4;
+    const coilHeight = 14 * (1 - compression * 0.6);
+    const coilTop = platform.y - coilHeight;
+    
+    // 弹簧圈（锯齿线）
+    ctx.strokeStyle = '#C71585';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const turns = 4;
+    for (let i = 0; i <= turns * 2; i++) {
+      const px = centerX + (i % 2 === 0 ? -coilWidth / 2 : coilWidth / 2);
+      const py = platform.y - (coilHeight * i) / (turns * 2);
+      if (i === 0) {
+        ctx.moveTo(px, py);
+      } else {
+        ctx.lineTo(px, py);
+      }
+    }
+    ctx.stroke();
     
-    // 绘制苔藓表面（深绿色）
-    ctx.fillStyle = '#556B2F';
-    ctx.fillRect(this.x, this.y, this.width, this.height * 0.4);
+    // 顶板
+    ctx.fillStyle = '#FF69B4';
+    ctx.fillRect(centerX - coilWidth * 0.7, coilTop - 4, coilWidth * 1.4, 4);
+  }
+
+  /**
+   * 方形木箱：土壤底色 + 苔藓表面 + 横向纹理
+   */
+  renderBoxBody(platform, colors) {
+    const ctx = this.ctx;
+    
+    // 地面底色（森林中是深棕色土壤）
+    ctx.fillStyle = colors.soil;
+    ctx.fillRect(platform.x, platform.y, platform.width, platform.height);
+    
+    // 表面（森林中是深绿色苔藓）
+    ctx.fillStyle = colors.surface;
+    ctx.fillRect(platform.x, platform.y, platform.width, platform.height * 0.4);
     
     // 绘制树桩纹理
-    ctx.fillStyle = '#A0522D';
+    ctx.fillStyle = colors.grain;
     const ringCount = 3;
     for (let i = 0; i < ringCount; i++) {
-      const ringY = this.y + (this.height * 0.6) + (i * 2);
-      ctx.fillRect(this.x + 2, ringY, this.width - 4, 1);
+      const ringY = platform.y + (platform.height * 0.6) + (i * 2);
+      ctx.fillRect(platform.x + 2, ringY, platform.width - 4, 1);
+    }
+  }
+  
+  /**
+   * 圆形树桩：竖直树干 + 椭圆形截面年轮
+   */
+  renderStumpBody(platform, colors) {
+    const ctx = this.ctx;
+    const centerX = platform.x + platform.width / 2;
+    const radiusX = platform.width / 2;
+    const radiusY = Math.min(6, platform.height * 0.3);
+    
+    // 树干
+    ctx.fillStyle = colors.soil;
+    ctx.fillRect(platform.x + 2, platform.y, platform.width - 4, platform.height);
+    
+    // 树皮竖纹
+    ctx.fillStyle = colors.bark;
+    for (let i = 1; i < 4; i++) {
+      ctx.fillRect(platform.x + (platform.width * i) / 4, platform.y + 2, 1, platform.height - 2);
+    }
+    
+    // 截面
+    ctx.fillStyle = colors.cut;
+    ctx.beginPath();
+    ctx.ellipse(centerX, platform.y, radiusX, radiusY, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // 年轮
+    ctx.strokeStyle = colors.rings;
+    ctx.lineWidth = 1;
+    for (let i = 1; i <= 3; i++) {
+      ctx.beginPath();
+      ctx.ellipse(centerX, platform.y, radiusX * i / 4, radiusY * i / 4, 0, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+  
+  /**
+   * 长原木：横卧的圆木，右端露出截面
+   */
+  renderLogBody(platform, colors) {
+    const ctx = this.ctx;
+    const radius = platform.height / 2;
+    const centerY = platform.y + radius;
+    
+    // 圆木主体（两端圆角）
+    ctx.fillStyle = colors.soil;
+    ctx.beginPath();
+    ctx.moveTo(platform.x + radius, platform.y);
+    ctx.lineTo(platform.x + platform.width - radius, platform.y);
+    ctx.arc(platform.x + platform.width - radius, centerY, radius, -Math.PI / 2, Math.PI / 2);
+    ctx.lineTo(platform.x + radius, platform.y + platform.height);
+    ctx.arc(platform.x + radius, centerY, radius, Math.PI / 2, Math.PI * 1.5);
+    ctx.fill();
+    
+    // 苔藓顶面
+    ctx.fillStyle = colors.surface;
+    ctx.fillRect(platform.x + radius, platform.y, platform.width - radius * 2, platform.height * 0.25);
+    
+    // 树皮横纹
+    ctx.fillStyle = colors.bark;
+    for (let i = 0; i < 2; i++) {
+      ctx.fillRect(platform.x + radius, centerY + i * 4 - 1, platform.width - radius * 2, 1);
+    }
+    
+    // 右端截面年轮
+    const endX = platform.x + platform.width - radius;
+    ctx.fillStyle = colors.cut;
+    ctx.beginPath();
+    ctx.arc(endX, centerY, radius * 0.8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = colors.rings;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(endX, centerY, radius * 0.45, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  /**
+   * 平台顶面以下到地面的支撑：树桩是加长的树干，木箱是叠起的土柱
+   */
+  renderSupport(platform, colors) {
+    const ctx = this.ctx;
+    const top = platform.y + platform.height;
+    const bottom = platform.getBodyBottom();
+    if (bottom <= top) return;
+
+    if (platform.shape === PLATFORM_SHAPE.ROUND) {
+      ctx.fillStyle = colors.support;
+      ctx.fillRect(platform.x + 2, top, platform.width - 4, bottom - top);
+
+      // 树皮竖纹
+      ctx.fillStyle = colors.bark;
+      for (let i = 1; i < 4; i++) {
+        ctx.fillRect(platform.x + (platform.width * i) / 4, top, 1, bottom - top);
+      }
+      return;
+    }
+
+    ctx.fillStyle = colors.support;
+    ctx.fillRect(platform.x, top, platform.width, bottom - top);
+
+    // 每隔一个平台高度画一道接缝
+    ctx.fillStyle = colors.seam;
+    for (let y = top + platform.height; y < bottom; y += platform.height) {
+      ctx.fillRect(platform.x, y, platform.width, 1);
+    }
+  }
+
+  /**
+   * 渲染草地平台：按形状绘制主体，再加上主题的顶面装饰
+   * @param {Object} theme 当前主题，提供平台配色和装饰
+   */
+  renderGrassland(platform, theme) {
+    const colors = theme.platform;
+
+    // 高出地面的树桩和木箱下方画出支撑，原木是悬空的树枝不需要
+    if (platform.shape !== PLATFORM_SHAPE.LOG) {
+      this.renderSupport(platform, colors);
+    }
+
+    if (platform.shape === PLATFORM_SHAPE.ROUND) {
+      this.renderStumpBody(platform, colors);
+    } else if (platform.shape === PLATFORM_SHAPE.LOG) {
+      this.renderLogBody(platform, colors);
+    } else {
+      this.renderBoxBody(platform, colors);
     }
     
+    PLATFORM_DECORATION_RENDERERS[theme.decoration](this, platform);
+  }
+
+  /**
+   * 森林装饰：小蘑菇、树苗和落叶；夜晚的蘑菇会发出微光
+   */
+  renderForestDecoration(platform, glow) {
+    const ctx = this.ctx;
+    
     // 绘制小蘑菇
-    const mushroomSeed = this.x * 0.1; // 使用位置作为随机种子
+    const mushroomSeed = platform.originX * 0.1; // 使用原位作为随机种子，移动平台上的蘑菇不会闪烁
     if (Math.sin(mushroomSeed) > 0.3) {
-      const mushroomX = this.x + 10 + (Math.sin(mushroomSeed * 2) * 20);
-      const mushroomY = this.y - 3;
+      const mushroomX = platform.x + platform.width * (0.3 + Math.sin(mushroomSeed * 2) * 0.2);
+      const mushroomY = platform.y - 3;
       
       // 蘑菇杆
       ctx.fillStyle = '#F5DEB3';
       ctx.fillRect(mushroomX, mushroomY, 2, 4);
       
+      // 夜里蘑菇周围的光晕
+      if (glow) {
+        const halo = ctx.createRadialGradient(mushroomX + 1, mushroomY, 0, mushroomX + 1, mushroomY, 9);
+        halo.addColorStop(0, 'rgba(124, 255, 203, 0.5)');
+        halo.addColorStop(1, 'rgba(124, 255, 203, 0)');
+        ctx.fillStyle = halo;
+        ctx.beginPath();
+        ctx.arc(mushroomX + 1, mushroomY, 9, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      
       // 蘑菇帽
-      ctx.fillStyle = '#DC143C';
+      ctx.fillStyle = glow ? '#7CFFCB' : '#DC143C';
       ctx.beginPath();
       ctx.arc(mushroomX + 1, mushroomY, 3, 0, Math.PI * 2);
       ctx.fill();
@@ -1418,8 +3291,8 @@ class Platform {
     
     // 绘制小树苗（移除绿色圆圈叶子装饰）
     if (Math.cos(mushroomSeed) > 0.5) {
-      const saplingX = this.x + this.width - 15;
-      const saplingY = this.y - 2;
+      const saplingX = platform.x + platform.width - 15;
+      const saplingY = platform.y - 2;
       
       // 树苗茎
       ctx.strokeStyle = '#228B22';
@@ -1432,8 +3305,8 @@ class Platform {
     
     // 绘制落叶装饰
     for (let i = 0; i < 3; i++) {
-      const leafX = this.x + 5 + (i * 25) + Math.sin(mushroomSeed + i) * 5;
-      const leafY = this.y - 1;
+      const leafX = platform.x + platform.width * (0.1 + i * 0.35) + Math.sin(mushroomSeed + i) * 3;
+      const leafY = platform.y - 1;
       
       ctx.fillStyle = i % 2 === 0 ? '#8B4513' : '#DAA520';
       ctx.save();
@@ -1445,20 +3318,99 @@ class Platform {
       ctx.restore();
     }
   }
+
+  /**
+   * 雪原装饰：顶面边缘堆起的积雪，木箱和原木下沿挂着冰凌
+   */
+  renderSnowDecoration(platform) {
+    const ctx = this.ctx;
+    const seed = platform.originX * 0.1;
+    
+    // 积雪
+    ctx.fillStyle = '#FFFFFF';
+    for (let i = 0; i < 3; i++) {
+      const driftX = platform.x + platform.width * (0.2 + i * 0.3) + Math.sin(seed + i) * 4;
+      ctx.beginPath();
+      ctx.ellipse(driftX, platform.y, 6 + Math.cos(seed + i) * 2, 2.5, 0, Math.PI, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    if (platform.shape === PLATFORM_SHAPE.ROUND) return;
+    
+    // 冰凌
+    const bottom = platform.y + platform.height;
+    ctx.fillStyle = 'rgba(200, 230, 255, 0.9)';
+    for (let i = 0; i < 4; i++) {
+      if (Math.sin(seed * 3 + i) < 0) continue;
+      
+      const icicleX = platform.x + platform.width * (0.15 + i * 0.23);
+      const length = 4 + (Math.sin(seed + i * 2) * 0.5 + 0.5) * 5;
+      ctx.beginPath();
+      ctx.moveTo(icicleX - 1.5, bottom);
+      ctx.lineTo(icicleX + 1.5, bottom);
+      ctx.lineTo(icicleX, bottom + length);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+
+  /**
+   * 沙漠装饰：散落的石子，偶尔冒出一株小仙人掌
+   */
+  renderSandDecoration(platform) {
+    const ctx = this.ctx;
+    const seed = platform.originX * 0.1;
+    
+    // 石子
+    for (let i = 0; i < 3; i++) {
+      const pebbleX = platform.x + platform.width * (0.15 + i * 0.3) + Math.sin(seed + i) * 3;
+      ctx.fillStyle = i % 2 === 0 ? '#A1887F' : '#BCAAA4';
+      ctx.beginPath();
+      ctx.ellipse(pebbleX, platform.y - 1, 2, 1.2, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    // 小仙人掌
+    if (Math.sin(seed) > 0.3) {
+      const cactusX = platform.x + platform.width * (0.3 + Math.sin(seed * 2) * 0.2);
+      const cactusY = platform.y;
+      
+      ctx.save();
+      ctx.strokeStyle = '#2E7D32';
+      ctx.lineCap = 'round';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(cactusX, cactusY);
+      ctx.lineTo(cactusX, cactusY - 8);
+      ctx.moveTo(cactusX, cactusY - 4);
+      ctx.lineTo(cactusX + 3, cactusY - 4);
+      ctx.lineTo(cactusX + 3, cactusY - 7);
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
 }
 
 /**
  * 粒子类
  */
 class Particle {
-  constructor(x, y, vx, vy) {
+  constructor(x, y, vx, vy, size, color = '255, 107, 107') {
     this.x = x;
     this.y = y;
     this.vx = vx;
     this.vy = vy;
     this.life = CONFIG.PARTICLE_LIFE;
     this.maxLife = CONFIG.PARTICLE_LIFE;
-    this.size = Math.random() * 4 + 2;
+    this.size = size;
+    this.color = color;
+    this.prevX = x;
+    this.prevY = y;
+  }
+
+  savePreviousState() {
+    this.prevX = this.x;
+    this.prevY = this.y;
   }
 
   update() {
@@ -1468,15 +3420,62 @@ class Particle {
     this.life--;
   }
 
-  render(ctx) {
-    const alpha = this.life / this.maxLife;
-    ctx.fillStyle = `rgba(255, 107, 107, ${alpha})`;
+  render(ctx, alpha = 1) {
+    const x = this.prevX + (this.x - this.prevX) * alpha;
+    const y = this.prevY + (this.y - this.prevY) * alpha;
+    const fade = this.life / this.maxLife;
+    ctx.fillStyle = `rgba(${this.color}, ${fade})`;
     ctx.beginPath();
-    ctx.arc(this.x, this.y, this.size * alpha, 0, Math.PI * 2);
+    ctx.arc(x, y, this.size * fade, 0, Math.PI * 2);
     ctx.fill();
   }
 }
 
+/**
+ * 飘字：向上飘动并逐渐淡出的文字，接口与 Particle 相同，和粒子放在一起更新和绘制
+ */
+class FloatingText {
+  constructor(x, y, text, color, vx = 0) {
+    this.x = x;
+    this.y = y;
+    this.vx = vx;
+    this.vy = -2;
+    this.text = text;
+    this.color = color;
+    this.life = BONUS_POPUP_LIFE;
+    this.maxLife = BONUS_POPUP_LIFE;
+    this.prevX = x;
+    this.prevY = y;
+  }
+
+  savePreviousState() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  update() {
+    this.x += this.vx;
+    this.y += this.vy;
+    this.vy *= 0.95; // 越飘越慢
+    this.life--;
+  }
+
+  render(ctx, alpha = 1) {
+    const x = this.prevX + (this.x - this.prevX) * alpha;
+    const y = this.prevY + (this.y - this.prevY) * alpha;
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, (this.life / this.maxLife) * 2);
+    ctx.font = 'bold 24px Arial';
+    ctx.textAlign = 'center';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.strokeText(this.text, x, y);
+    ctx.fillStyle = this.color;
+    ctx.fillText(this.text, x, y);
+    ctx.restore();
+  }
+}
+
 // 导出模块
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { default: JumpGame };
@@ -0,0 +1,125 @@
+/**
+ * 好友排行榜
+ * 主域只通过统一的排行榜接口提交分数、显示排行：
+ * 微信小游戏中消息转发给开放数据域（openDataContext/index.js），由它读写好友托管数据并画到 sharedCanvas；
+ * 浏览器中用基于本地存储的模拟 wx 运行同一份开放数据域代码，不需要真实的微信环境就能调试完整流程
+ */
+
+// 模拟环境下自己的托管数据和虚拟好友
+const MOCK_CLOUD_STORAGE_KEY = 'jump_game.mock_cloud_storage';
+const MOCK_FRIENDS = [
+  { nickname: '松果', score: 68 },
+  { nickname: '橡果', score: 41 },
+  { nickname: '小刺猬', score: 23 },
+  { nickname: '啄木鸟', score: 12 }
+];
+
+/**
+ * 基于开放数据域的排行榜
+ * @param {Object} openDataContext 提供 postMessage(message) 和 canvas 的开放数据域
+ */
+class OpenDataLeaderboard {
+  constructor(openDataContext) {
+    this.context = openDataContext;
+    this.visible = false;
+  }
+
+  /**
+   * 提交本局分数，开放数据域只保留最高分
+   */
+  submitScore(score) {
+    this.context.postMessage({ type: 'submitScore', score });
+  }
+
+  /**
+   * 打开好友排行，画布尺寸由主域设置
+   */
+  show(width, height) {
+    this.context.canvas.width = width;
+    this.context.canvas.height = height;
+    this.visible = true;
+    this.context.postMessage({ type: 'showFriendRank' });
+  }
+
+  hide() {
+    this.visible = false;
+  }
+
+  /**
+   * 把开放数据域画好的排行榜绘制到主画布
+   */
+  render(ctx, x, y, width, height) {
+    if (!this.visible) return;
+    ctx.drawImage(this.context.canvas, x, y, width, height);
+  }
+}
+
+/**
+ * 用本地存储模拟开放数据域用到的 wx 接口
+ */
+function createMockWx(storage) {
+  const toKVDataList = score => [{ key: 'score', value: JSON.stringify({ wxgame: { score, update_time: 0 } }) }];
+
+  return {
+    getUserCloudStorage({ success }) {
+      success({ KVDataList: storage.get(MOCK_CLOUD_STORAGE_KEY, []) });
+    },
+    setUserCloudStorage({ KVDataList, success }) {
+      storage.set(MOCK_CLOUD_STORAGE_KEY, KVDataList);
+      if (success) success({});
+    },
+    getFriendCloudStorage({ success }) {
+      const friends = MOCK_FRIENDS.map(friend => ({
+        nickname: friend.nickname,
+        avatarUrl: '',
+        KVDataList: toKVDataList(friend.score)
+      }));
+      friends.push({ nickname: '我', avatarUrl: '', KVDataList: storage.get(MOCK_CLOUD_STORAGE_KEY, []) });
+      success({ data: friends });
+    }
+  };
+}
+
+/**
+ * 模拟的开放数据域：离屏画布 + 直接调用开放数据域的消息处理
+ */
+function createMockOpenDataContext(storage) {
+  // 开放数据域代码在浏览器中由 <script> 标签以全局变量提供，CommonJS 环境（Node）下在此加载
+  const createContext = typeof module !== 'undefined' && module.exports
+    ? require('../openDataContext/index.js').createRankingContext
+    : window.createRankingContext;
+
+  const canvas = document.createElement('canvas');
+  const rankingContext = createContext(createMockWx(storage), canvas);
+  return {
+    canvas,
+    postMessage: message => rankingContext.handleMessage(message)
+  };
+}
+
+/**
+ * 根据运行环境创建排行榜，没有可用实现时返回 null
+ */
+function createLeaderboard(storage) {
+  if (typeof wx !== 'undefined' && wx.getOpenDataContext) {
+    return new OpenDataLeaderboard(wx.getOpenDataContext());
+  }
+
+  if (typeof document !== 'undefined' && document.createElement) {
+    try {
+      return new OpenDataLeaderboard(createMockOpenDataContext(storage));
+    } catch (error) {
+      console.warn('模拟排行榜初始化失败:', error);
+    }
+  }
+
+  return null;
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OpenDataLeaderboard, createMockWx, createLeaderboard };
+} else {
+  window.OpenDataLeaderboard = OpenDataLeaderboard;
+  window.createLeaderboard = createLeaderboard;
+}
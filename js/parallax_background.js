@@ -0,0 +1,205 @@
+/**
+ * 视差背景缓存
+ * 远景图层（云、树、松树、仙人掌）沿水平方向切成固定宽度的图块，每个图块第一次进入画面时画到离屏画布上，
+ * 之后每帧只按图层的视差系数平移贴图，不再逐个重画其中的物体。图块内容只由图块编号决定，
+ * 来回滚动或缓存被淘汰后重画都和原来一样。飘动的树叶、花朵等形状不变的装饰也缓存为小贴图，
+ * 每帧只做平移旋转；天空渐变按主题和画面高度缓存。
+ * 图块只缓存画面上能同时露出的数量，离屏画布（小游戏中无法主动释放）被淘汰后留给之后的图块重复使用。
+ * 环境不支持离屏画布时退回每帧直接绘制
+ */
+
+const PARALLAX_TILE_WIDTH = 512;  // 图块宽度（逻辑像素）
+
+/**
+ * 稳定的伪随机数：同样的参数总是得到同样的 0-1 之间的值，用于图块中物体的高度、位置等
+ */
+function hashSeed(...values) {
+  const hash = Math.sin(values.reduce((sum, value, i) => sum + value * (127.1 + i * 184.3), 0)) * 43758.5453;
+  return hash - Math.floor(hash);
+}
+
+/**
+ * 创建离屏画布，微信小游戏中除第一次外 wx.createCanvas 创建的都是离屏画布
+ * @returns {Object|null} 不支持时返回 null
+ */
+function createOffscreenCanvas(width, height) {
+  let canvas = null;
+  if (typeof wx !== 'undefined' && wx.createCanvas) {
+    canvas = wx.createCanvas();
+  } else if (typeof document !== 'undefined' && document.createElement) {
+    canvas = document.createElement('canvas');
+  }
+  if (!canvas || !canvas.getContext) return null;
+
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+class ParallaxBackground {
+  constructor() {
+    this.pixelRatio = 1;
+    this.maxTiles = 0;           // 最多缓存的图块数，见 setViewport()
+    this.tiles = new Map();      // 缓存键 -> 图块画布，按最近使用的顺序排列
+    this.sprites = new Map();    // 缓存键 -> 装饰贴图画布，种类固定，不做淘汰
+    this.spare = [];             // 被淘汰的画布，留给之后的图块和贴图重复使用
+    this.gradients = new Map();  // 缓存的天空渐变
+    this.offscreen = true;       // 创建离屏画布失败后不再尝试
+  }
+
+  /**
+   * 按画面宽度和同时显示的图层数确定图块缓存的上限
+   * 每个图层最多同时露出 ceil(width / PARALLAX_TILE_WIDTH) + 1 块，超出的是已经滚出画面的图块
+   * @param {number} width 画面的逻辑宽度
+   * @param {number} layerCount 同一帧中最多画出的视差图层数（切换主题淡入时新旧主题的图层都要算上）
+   */
+  setViewport(width, layerCount) {
+    this.maxTiles = layerCount * (Math.ceil(width / PARALLAX_TILE_WIDTH) + 1);
+    this.trim();
+  }
+
+  /**
+   * 画布的设备像素比改变后，已缓存的图块和贴图按新的分辨率重画，原来的画布留着重复使用
+   */
+  setPixelRatio(pixelRatio) {
+    if (pixelRatio === this.pixelRatio) return;
+    this.pixelRatio = pixelRatio;
+    this.tiles.forEach(canvas => this.spare.push(canvas));
+    this.sprites.forEach(canvas => this.spare.push(canvas));
+    this.tiles.clear();
+    this.sprites.clear();
+  }
+
+  /**
+   * 画出一个视差图层覆盖画面的所有图块
+   * @param {CanvasRenderingContext2D} ctx 目标画布，已按摄像机平移到世界坐标
+   * @param {string} key 图层的缓存键（主题 + 图层名）
+   * @param {Object} layer 图层规格 { factor, drift, anchor, offset, height }（见 jump_game.js 的 PARALLAX_LAYERS）
+   * @param {{ x: number, y: number }} camera 摄像机位置
+   * @param {{ width: number, height: number }} view 画面的逻辑尺寸
+   * @param {number} time 当前时间（秒），用于随时间飘动的图层
+   * @param {Function} drawTile (tileCtx, index) 在图块的局部坐标中画出第 index 块
+   */
+  render(ctx, key, layer, camera, view, time, drawTile) {
+    // 画面左边缘在图层坐标中的位置：摄像机移动得越多、图层越近，滚过的距离越长
+    const scroll = camera.x * layer.factor - time * (layer.drift || 0);
+    const first = Math.floor(scroll / PARALLAX_TILE_WIDTH);
+    const last = Math.floor((scroll + view.width) / PARALLAX_TILE_WIDTH);
+    const top = camera.y + (layer.anchor === 'top' ? layer.offset : view.height - layer.offset - layer.height);
+
+    for (let index = first; index <= last; index++) {
+      const x = camera.x + index * PARALLAX_TILE_WIDTH - scroll;
+      const tile = this.getTile(`${key}:${index}`, PARALLAX_TILE_WIDTH, layer.height, tileCtx => drawTile(tileCtx, index));
+      if (tile) {
+        ctx.drawImage(tile, x, top, PARALLAX_TILE_WIDTH, layer.height);
+      } else {
+        ctx.save();
+        ctx.translate(x, top);
+        drawTile(ctx, index);
+        ctx.restore();
+      }
+    }
+  }
+
+  /**
+   * 缓存的小贴图，画在以原点为中心、边长 size 的正方形中
+   * @param {Function} draw (spriteCtx) 以原点为中心画出贴图
+   * @returns {Object|null} 贴图画布，不支持离屏画布时返回 null
+   */
+  getSprite(key, size, draw) {
+    let sprite = this.sprites.get(key);
+    if (!sprite) {
+      sprite = this.drawCanvas(size, size, spriteCtx => {
+        spriteCtx.translate(size / 2, size / 2);
+        draw(spriteCtx);
+      });
+      if (sprite) this.sprites.set(key, sprite);
+    }
+    return sprite;
+  }
+
+  /**
+   * 取出缓存的图块，没有时创建并调用 draw 画出
+   * @returns {Object|null} 图块画布，不支持离屏画布时返回 null
+   */
+  getTile(key, width, height, draw) {
+    const cached = this.tiles.get(key);
+    if (cached) {
+      this.tiles.delete(key);
+      this.tiles.set(key, cached);
+      return cached;
+    }
+
+    const canvas = this.drawCanvas(width, height, draw);
+    if (!canvas) return null;
+
+    this.tiles.set(key, canvas);
+    this.trim();
+    return canvas;
+  }
+
+  /**
+   * 淘汰最久未用的图块，直到不超过上限
+   */
+  trim() {
+    while (this.tiles.size > this.maxTiles) {
+      const [oldestKey, oldest] = this.tiles.entries().next().value;
+      this.tiles.delete(oldestKey);
+      this.spare.push(oldest);
+    }
+  }
+
+  /**
+   * 在离屏画布上画出逻辑尺寸为 width × height 的内容
+   * 优先重用被淘汰的旧画布（调整为需要的尺寸），小游戏中离屏画布无法主动释放
+   * @returns {Object|null} 画布，不支持离屏画布时返回 null
+   */
+  drawCanvas(width, height, draw) {
+    if (!this.offscreen) return null;
+
+    const pixelWidth = Math.round(width * this.pixelRatio);
+    const pixelHeight = Math.round(height * this.pixelRatio);
+    let canvas = this.spare.pop();
+    if (canvas) {
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
+    } else {
+      canvas = createOffscreenCanvas(pixelWidth, pixelHeight);
+    }
+    if (!canvas) {
+      this.offscreen = false;
+      return null;
+    }
+
+    const tileCtx = canvas.getContext('2d');
+    tileCtx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    tileCtx.clearRect(0, 0, width, height);
+    draw(tileCtx);
+    return canvas;
+  }
+
+  /**
+   * 缓存的竖直渐变，从 y = 0 到 y = height
+   * @param {string} key 缓存键（主题 + 视图）
+   * @param {Array} stops 渐变色标 [位置, 颜色]
+   */
+  getGradient(ctx, key, height, stops) {
+    const cacheKey = `${key}:${height}`;
+    let gradient = this.gradients.get(cacheKey);
+    if (!gradient) {
+      gradient = ctx.createLinearGradient(0, 0, 0, height);
+      stops.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+      this.gradients.set(cacheKey, gradient);
+    }
+    return gradient;
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PARALLAX_TILE_WIDTH, ParallaxBackground, hashSeed };
+} else {
+  window.PARALLAX_TILE_WIDTH = PARALLAX_TILE_WIDTH;
+  window.ParallaxBackground = ParallaxBackground;
+  window.hashSeed = hashSeed;
+}
@@ -0,0 +1,135 @@
+/**
+ * 玩家统计
+ * 订阅核心事件统计每一局的跳跃、完美着陆和最高连击，游戏结束时写入持久化存储：
+ * 最高分、最高连击、累计跳跃次数、完美着陆率和最近若干局的记录。
+ * 累计橡果数在拾取时立即保存，中途退出也不会丢失
+ */
+
+const STATS_STORAGE_KEY = 'jump_game.stats';
+const STATS_HISTORY_SIZE = 20;  // 保留最近多少局的记录
+
+class PlayerStats {
+  /**
+   * @param {GameCore} core 统计来源
+   * @param {GameStorage} storage 持久化存储
+   */
+  constructor(core, storage) {
+    this.core = core;
+    this.storage = storage;
+    this.enabled = true;     // 播放回放时不统计
+    this.data = Object.assign(PlayerStats.createEmpty(), storage.get(STATS_STORAGE_KEY, {}));
+    this.run = null;         // 正在进行的一局
+    this.lastRun = null;     // 最近结束的一局，附带是否破纪录
+
+    core.on('reset', () => this.startRun());
+    core.on('jump', () => {
+      if (this.run) this.run.jumps++;
+    });
+    core.on('land', (event) => this.recordLanding(event));
+    core.on('acorn', () => this.recordAcorn());
+    core.on('gameOver', ({ score }) => this.finishRun(score));
+  }
+
+  static createEmpty() {
+    return {
+      bestScore: 0,
+      bestCombo: 0,
+      totalRuns: 0,
+      totalJumps: 0,
+      totalLandings: 0,   // 主动跳跃的成功着陆（不含落回原平台和弹簧弹射）
+      totalPerfect: 0,
+      totalAcorns: 0,
+      history: []         // 最近的对局，最新的在前
+    };
+  }
+
+  startRun() {
+    this.run = this.enabled
+      ? { seed: this.core.seed, jumps: 0, landings: 0, perfect: 0, maxCombo: 0, acorns: 0 }
+      : null;
+  }
+
+  recordLanding({ perfect, sameLanding, fromSpring }) {
+    if (!this.run || sameLanding || fromSpring) return;
+
+    this.run.landings++;
+    if (perfect) {
+      this.run.perfect++;
+    }
+    this.run.maxCombo = Math.max(this.run.maxCombo, this.core.combo);
+  }
+
+  recordAcorn() {
+    if (!this.run) return;
+
+    this.run.acorns++;
+    this.data.totalAcorns++;
+    this.storage.set(STATS_STORAGE_KEY, this.data);
+  }
+
+  /**
+   * 一局结束：累计数据、更新纪录并保存
+   */
+  finishRun(score) {
+    const run = this.run;
+    if (!run) return;
+    this.run = null;
+
+    const data = this.data;
+    const newBestScore = score > data.bestScore;
+    const newBestCombo = run.maxCombo > data.bestCombo;
+
+    data.bestScore = Math.max(data.bestScore, score);
+    data.bestCombo = Math.max(data.bestCombo, run.maxCombo);
+    data.totalRuns++;
+    data.totalJumps += run.jumps;
+    data.totalLandings += run.landings;
+    data.totalPerfect += run.perfect;
+    data.history.unshift({
+      score,
+      maxCombo: run.maxCombo,
+      jumps: run.jumps,
+      perfect: run.perfect,
+      acorns: run.acorns,
+      seed: run.seed,
+      time: Date.now()
+    });
+    data.history.length = Math.min(data.history.length, STATS_HISTORY_SIZE);
+
+    this.storage.set(STATS_STORAGE_KEY, data);
+    this.lastRun = Object.assign({ score, newBestScore, newBestCombo }, run);
+  }
+
+  /**
+   * 完美着陆率（0-1）
+   */
+  getPerfectRate() {
+    return this.data.totalLandings > 0 ? this.data.totalPerfect / this.data.totalLandings : 0;
+  }
+
+  /**
+   * 最近 count 局的分数，按时间从早到晚排列
+   */
+  getRecentScores(count = 10) {
+    return this.data.history.slice(0, count).map(run => run.score).reverse();
+  }
+
+  /**
+   * 分数趋势：最近几局（最多5局）平均分与再往前同样局数的平均分之差，记录少于4局时返回 null
+   */
+  getScoreTrend() {
+    const scores = this.data.history.map(run => run.score);
+    const count = Math.min(5, Math.floor(scores.length / 2));
+    if (count < 2) return null;
+
+    const average = list => list.reduce((sum, score) => sum + score, 0) / list.length;
+    return average(scores.slice(0, count)) - average(scores.slice(count, count * 2));
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PlayerStats };
+} else {
+  window.PlayerStats = PlayerStats;
+}
@@ -0,0 +1,284 @@
+/**
+ * 回放录制与播放
+ * GameCore 在相同种子、相同配置、相同输入下完全确定，因此回放只需记录种子、配置快照和每一跳的按下/松开时间与蓄力时长，
+ * 播放时用同样的输入重新驱动核心即可还原整局，用于分享精彩对局和复现“明明跳上去了却判定失败”的问题
+ */
+
+/* global CONFIG, GAME_STATE, COURSE_LAYOUT, CHARGE_CURVE */
+
+// 游戏核心在浏览器中由 <script> 标签以全局变量提供，CommonJS 环境（微信小游戏、Node）下在此加载
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(typeof GameGlobal !== 'undefined' ? GameGlobal : global, require('./game_core.js'));
+}
+
+// 回放文件格式版本，格式不兼容时递增
+// 版本 1：每一跳 [按下时间, 蓄力时长]，蓄力时长按步数量化
+// 版本 2：每一跳 [按下时间, 蓄力时长, 松开时间]，蓄力时长为输入事件的精确时长，并记录蓄力曲线和角色碰撞盒比例（早期回放没有比例，按 1 播放）
+const REPLAY_VERSION = 2;
+const SUPPORTED_REPLAY_VERSIONS = [1, 2];
+
+// 时间以模拟时钟的毫秒记录，保留一位小数；播放时换算回步数
+const roundTime = time => Math.round(time * 10) / 10;
+const toStep = time => Math.round(time / CONFIG.FIXED_TIMESTEP);
+
+/**
+ * 回放录制器
+ * 订阅核心事件，每局开始时新建一份记录，游戏结束时补上结果
+ */
+class ReplayRecorder {
+  constructor(core) {
+    this.core = core;
+    this.enabled = true;      // 播放回放时暂停录制
+    this.replay = null;       // 正在录制的回放
+    this.lastReplay = null;   // 最近一局完整的回放
+    this.pressTime = null;
+
+    core.on('reset', () => this.start());
+    core.on('chargeStart', () => {
+      this.pressTime = core.simTime;
+    });
+    core.on('chargeCancel', () => {
+      this.pressTime = null;
+    });
+    core.on('jump', (event) => this.recordJump(event));
+    core.on('gameOver', (event) => this.finish(event));
+  }
+
+  /**
+   * 开始录制新的一局
+   */
+  start() {
+    if (!this.enabled) return;
+
+    const core = this.core;
+    this.pressTime = null;
+    this.replay = {
+      version: REPLAY_VERSION,
+      seed: core.seed,
+      layout: core.layout,
+      chargeCurve: core.chargeCurve,
+      hitboxScale: core.hitboxScale,
+      view: { width: core.viewWidth, height: core.viewHeight },
+      config: Object.assign({}, CONFIG),
+      recordedAt: Date.now(),
+      jumps: [],      // 每一跳 [按下时间, 蓄力时长, 松开时间]，单位毫秒
+      outcome: null
+    };
+  }
+
+  /**
+   * 记录一跳：按下和松开生效的时间（决定在哪一步注入输入）以及精确的蓄力时长（决定力度，不做舍入）
+   */
+  recordJump({ chargeDuration }) {
+    if (!this.replay || this.pressTime === null) return;
+
+    this.replay.jumps.push([
+      roundTime(this.pressTime),
+      chargeDuration,
+      roundTime(this.core.simTime)
+    ]);
+    this.pressTime = null;
+  }
+
+  /**
+   * 记录结果，回放录制完成
+   */
+  finish({ score, reason }) {
+    if (!this.replay) return;
+
+    this.replay.outcome = {
+      score,
+      reason,
+      jumps: this.replay.jumps.length,
+      duration: roundTime(this.core.simTime)
+    };
+    this.lastReplay = this.replay;
+    this.replay = null;
+  }
+}
+
+/**
+ * 回放播放器
+ * 按记录的时间注入按下/松开，逐步驱动核心；跳转通过从头快速重算实现
+ */
+class ReplayPlayer {
+  /**
+   * @param {GameCore} core 用于播放的核心
+   * @param {Object|string} replay 回放对象或 JSON 字符串
+   */
+  constructor(core, replay) {
+    this.core = core;
+    this.replay = ReplayPlayer.parse(replay);
+    this.speed = 1;
+    this.paused = false;
+
+    // 展开为按步数排序的输入序列；版本 1 没有松开时间，按量化的蓄力时长在松开那一步重新计算力度
+    this.inputs = [];
+    this.replay.jumps.forEach(([pressTime, duration, releaseTime]) => {
+      this.inputs.push({ step: toStep(pressTime), action: 'press' });
+      if (releaseTime === undefined) {
+        this.inputs.push({ step: toStep(pressTime + duration), action: 'release' });
+      } else {
+        this.inputs.push({ step: toStep(releaseTime), action: 'release', duration });
+      }
+    });
+    this.cursor = 0;
+  }
+
+  /**
+   * 解析并校验回放
+   * 回放文件来自外部，校验通过前不修改任何游戏状态；配置只保留 CONFIG 中已有的数值参数
+   * @returns {Object} 校验后的回放，config 为可以直接合并到 CONFIG 的参数
+   */
+  static parse(replay) {
+    const data = typeof replay === 'string' ? JSON.parse(replay) : replay;
+    if (!data || !SUPPORTED_REPLAY_VERSIONS.includes(data.version)) {
+      throw new Error(`不支持的回放版本: ${data && data.version}`);
+    }
+    if (!Number.isFinite(data.seed)) {
+      throw new Error('回放数据缺少种子');
+    }
+    if (!data.view || !Number.isFinite(data.view.width) || !Number.isFinite(data.view.height)) {
+      throw new Error('回放数据缺少画面尺寸');
+    }
+    if (!Array.isArray(data.jumps)) {
+      throw new Error('回放数据缺少跳跃记录');
+    }
+    const length = data.version === 1 ? 2 : 3;
+    data.jumps.forEach((jump, i) => {
+      if (!Array.isArray(jump) || jump.length < length || !jump.slice(0, length).every(Number.isFinite)) {
+        throw new Error(`回放第 ${i + 1} 跳的数据无效`);
+      }
+      if (data.version >= 2 && jump[2] < jump[0]) {
+        throw new Error(`回放第 ${i + 1} 跳的松开时间早于按下时间`);
+      }
+    });
+
+    return Object.assign({}, data, { config: ReplayPlayer.parseConfig(data.config) });
+  }
+
+  /**
+   * 取出回放配置中 CONFIG 已有的数值参数，忽略未知的键和非数值
+   */
+  static parseConfig(config) {
+    if (!config || typeof config !== 'object') {
+      throw new Error('回放数据缺少配置');
+    }
+
+    const parsed = {};
+    Object.keys(CONFIG).forEach(key => {
+      if (typeof CONFIG[key] === 'number' && Number.isFinite(config[key])) {
+        parsed[key] = config[key];
+      }
+    });
+    if (!(parsed.FIXED_TIMESTEP > 0)) {
+      throw new Error('回放配置的固定步长无效');
+    }
+    return parsed;
+  }
+
+  /**
+   * 从头开始播放
+   */
+  start() {
+    this.core.setCourseLayout(this.replay.layout || COURSE_LAYOUT.STRAIGHT);
+    this.core.setChargeCurve(this.replay.chargeCurve || CHARGE_CURVE.LINEAR);
+    this.core.setHitboxScale(this.replay.hitboxScale || 1);
+    this.core.reset(this.replay.seed);
+    this.cursor = 0;
+  }
+
+  /**
+   * 当前播放到的步数
+   */
+  getCurrentStep() {
+    return toStep(this.core.simTime);
+  }
+
+  /**
+   * 当前播放时间（毫秒）
+   */
+  getCurrentTime() {
+    return this.core.simTime;
+  }
+
+  /**
+   * 回放总时长（毫秒）
+   */
+  getDuration() {
+    if (this.replay.outcome) {
+      return this.replay.outcome.duration;
+    }
+    const last = this.inputs[this.inputs.length - 1];
+    return last ? last.step * CONFIG.FIXED_TIMESTEP : 0;
+  }
+
+  /**
+   * 是否已播放到结尾
+   */
+  isFinished() {
+    return this.core.gameState === GAME_STATE.GAME_OVER ||
+      this.getCurrentStep() >= toStep(this.getDuration());
+  }
+
+  /**
+   * 注入本步的输入并推进一个固定步长
+   * @returns {boolean} 是否推进了
+   */
+  step() {
+    if (this.isFinished()) return false;
+
+    const currentStep = this.getCurrentStep();
+    while (this.cursor < this.inputs.length && this.inputs[this.cursor].step <= currentStep) {
+      const input = this.inputs[this.cursor++];
+      if (input.action === 'press') {
+        this.core.startCharge();
+      } else if (input.duration === undefined) {
+        this.core.releaseCharge();
+      } else {
+        this.core.releaseWithDuration(input.duration);
+      }
+    }
+
+    this.core.step();
+    return true;
+  }
+
+  /**
+   * 跳转到指定时间（毫秒）
+   * 往回跳时从头重算；重算过程中不派发事件，避免补放音效和粒子
+   */
+  seek(time) {
+    const target = toStep(Math.max(0, Math.min(time, this.getDuration())));
+    const core = this.core;
+
+    core.muteEvents = true;
+    if (target < this.getCurrentStep()) {
+      this.start();
+    }
+    while (this.getCurrentStep() < target && this.step()) {
+      // 快速重算到目标步
+    }
+    core.muteEvents = false;
+  }
+
+  /**
+   * 设置播放速度
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0.25, Math.min(speed, 4));
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { REPLAY_VERSION, ReplayRecorder, ReplayPlayer };
+} else {
+  window.REPLAY_VERSION = REPLAY_VERSION;
+  window.ReplayRecorder = ReplayRecorder;
+  window.ReplayPlayer = ReplayPlayer;
+}
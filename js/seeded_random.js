@@ -0,0 +1,113 @@
+/**
+ * 可设定种子的随机数生成器
+ * 相同种子产生完全相同的随机序列，用于复现关卡、比较成绩和每日挑战
+ */
+
+// 每日挑战统一使用北京时间计算日期，保证所有玩家当天拿到同一个种子
+const DAILY_TIMEZONE_OFFSET = 8 * 60 * 60 * 1000;
+
+const MAX_SEED = 0xFFFFFFFF;  // 种子为32位无符号整数
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * 将数字或字符串种子转换为32位无符号整数
+   * 纯数字的字符串（如地址栏中粘贴的、结算界面显示的种子）按数字处理，得到同一关卡
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text) && Number(text) <= MAX_SEED) {
+      return Number(text);
+    }
+
+    // 其他字符串种子使用 FNV-1a 哈希
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * 返回 [0, 1) 区间的随机数（mulberry32 算法）
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * 返回 [min, max) 区间的随机浮点数
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * 返回 [min, max] 区间的随机整数
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * 从数组中随机取一个元素
+   */
+  pick(list) {
+    return list[Math.floor(this.next() * list.length)];
+  }
+
+  /**
+   * 派生一个独立的随机序列
+   * 装饰性的随机（粒子等）使用派生序列，不会打乱关卡生成序列
+   */
+  fork(label) {
+    return new SeededRandom(SeededRandom.normalizeSeed(`${this.seed}:${label}`));
+  }
+}
+
+/**
+ * 生成一个新的随机种子
+ */
+function createRandomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * 获取每日挑战的日期标识，例如 2024-05-01
+ */
+function getDailyChallengeDate(date = new Date()) {
+  const local = new Date(date.getTime() + DAILY_TIMEZONE_OFFSET);
+  const month = String(local.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(local.getUTCDate()).padStart(2, '0');
+  return `${local.getUTCFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 根据日期生成每日挑战种子
+ */
+function getDailySeed(date = new Date()) {
+  return SeededRandom.normalizeSeed(`daily:${getDailyChallengeDate(date)}`);
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SeededRandom, createRandomSeed, getDailyChallengeDate, getDailySeed };
+} else {
+  window.SeededRandom = SeededRandom;
+  window.createRandomSeed = createRandomSeed;
+  window.getDailyChallengeDate = getDailyChallengeDate;
+  window.getDailySeed = getDailySeed;
+}
@@ -0,0 +1,170 @@
+/**
+ * 角色皮肤
+ * 皮肤目录声明每个角色的图片、碰撞盒宽度、着陆粒子颜色、起跳音效和解锁条件；
+ * 解锁条件读取玩家统计（最高分、累计完美着陆、累计橡果），达成后永久解锁。
+ * 已解锁的皮肤和当前选择保存在持久化存储中，浏览器和微信小游戏都能跨会话保留
+ */
+
+const SKIN_STORAGE_KEY = 'jump_game.skins';
+
+// 皮肤
+const SKIN = {
+  SQUIRREL: 'squirrel',               // 小松鼠（默认）
+  GRAY_SQUIRREL: 'gray_squirrel',     // 灰松鼠
+  GOLDEN_SQUIRREL: 'golden_squirrel', // 金松鼠
+  RABBIT: 'rabbit',                   // 小兔子
+  FOX: 'fox'                          // 小狐狸
+};
+
+/**
+ * 皮肤目录，按选择界面中的顺序排列
+ *   image       角色图片
+ *   hitbox      碰撞盒宽度比例，越窄越不容易撞到平台侧面，但踩到平台边缘也越难（见 GameCore.getHitboxHalfWidth）
+ *   particle    着陆粒子颜色（'r, g, b'）
+ *   jumpSound   起跳音效（AudioManager.playJumpSound 的音色）
+ *   unlock      解锁条件 { stat, value }：PlayerStats 中的累计数据达到 value，为 null 时默认解锁
+ */
+const SKIN_SPEC = {
+  [SKIN.SQUIRREL]: {
+    name: '小松鼠',
+    image: 'images/squirrel.svg',
+    hitbox: 1,
+    particle: '255, 107, 107',
+    jumpSound: 'hop',
+    unlock: null
+  },
+  [SKIN.GRAY_SQUIRREL]: {
+    name: '灰松鼠',
+    image: 'images/squirrel_gray.svg',
+    hitbox: 1,
+    particle: '170, 170, 180',
+    jumpSound: 'hop',
+    unlock: { stat: 'bestScore', value: 50 }
+  },
+  [SKIN.GOLDEN_SQUIRREL]: {
+    name: '金松鼠',
+    image: 'images/squirrel_golden.svg',
+    hitbox: 1,
+    particle: '255, 215, 0',
+    jumpSound: 'chime',
+    unlock: { stat: 'totalPerfect', value: 50 }
+  },
+  [SKIN.RABBIT]: {
+    name: '小兔子',
+    image: 'images/rabbit.svg',
+    hitbox: 0.8,
+    particle: '255, 182, 193',
+    jumpSound: 'boing',
+    unlock: { stat: 'totalAcorns', value: 100 }
+  },
+  [SKIN.FOX]: {
+    name: '小狐狸',
+    image: 'images/fox.svg',
+    hitbox: 1.2,
+    particle: '255, 140, 0',
+    jumpSound: 'yip',
+    unlock: { stat: 'bestScore', value: 200 }
+  }
+};
+
+// 解锁条件的说明文字
+const SKIN_UNLOCK_LABELS = {
+  bestScore: '最高分达到',
+  totalPerfect: '累计完美着陆',
+  totalAcorns: '累计收集橡果'
+};
+
+class SkinManager {
+  /**
+   * @param {GameCore} core 在一局结束和拾取橡果时检查解锁
+   * @param {PlayerStats} stats 解锁条件的数据来源
+   * @param {GameStorage} storage 持久化存储
+   */
+  constructor(core, stats, storage) {
+    this.stats = stats;
+    this.storage = storage;
+    this.data = Object.assign(
+      { selected: SKIN.SQUIRREL, unlocked: [SKIN.SQUIRREL] },
+      storage.get(SKIN_STORAGE_KEY, {})
+    );
+    this.newlyUnlocked = [];  // 本局新解锁的皮肤，在游戏结束界面提示
+
+    // 统计在核心事件中更新，这里订阅得更晚，检查时已经是最新数据
+    core.on('reset', () => {
+      this.newlyUnlocked = [];
+    });
+    core.on('acorn', () => this.checkUnlocks());
+    core.on('gameOver', () => this.checkUnlocks());
+
+    // 加入解锁功能前已经达成条件的玩家直接解锁
+    this.checkUnlocks();
+    this.newlyUnlocked = [];
+  }
+
+  /**
+   * 解锁所有已达成条件的皮肤并保存
+   * @returns {string[]} 这次新解锁的皮肤
+   */
+  checkUnlocks() {
+    const unlocked = Object.keys(SKIN_SPEC).filter(id => !this.isUnlocked(id) && this.isConditionMet(id));
+    if (unlocked.length === 0) return unlocked;
+
+    this.data.unlocked.push(...unlocked);
+    this.newlyUnlocked.push(...unlocked);
+    this.storage.set(SKIN_STORAGE_KEY, this.data);
+    return unlocked;
+  }
+
+  isUnlocked(id) {
+    return this.data.unlocked.includes(id);
+  }
+
+  isConditionMet(id) {
+    const progress = this.getUnlockProgress(id);
+    return !progress || progress.current >= progress.target;
+  }
+
+  /**
+   * 解锁进度，默认解锁的皮肤返回 null
+   * @returns {{ label: string, current: number, target: number }|null}
+   */
+  getUnlockProgress(id) {
+    const unlock = SKIN_SPEC[id].unlock;
+    if (!unlock) return null;
+    return {
+      label: SKIN_UNLOCK_LABELS[unlock.stat],
+      current: this.stats.data[unlock.stat] || 0,
+      target: unlock.value
+    };
+  }
+
+  /**
+   * 选择皮肤并保存，未解锁时不生效
+   * @returns {boolean} 是否选择成功
+   */
+  select(id) {
+    if (!SKIN_SPEC[id] || !this.isUnlocked(id)) return false;
+
+    this.data.selected = id;
+    this.storage.set(SKIN_STORAGE_KEY, this.data);
+    return true;
+  }
+
+  /**
+   * 当前皮肤，保存的选择已失效（皮肤被移除）时回到默认皮肤
+   * @returns {Object} SKIN_SPEC 中的一项，附带 id
+   */
+  getSelected() {
+    const id = SKIN_SPEC[this.data.selected] && this.isUnlocked(this.data.selected) ? this.data.selected : SKIN.SQUIRREL;
+    return Object.assign({ id }, SKIN_SPEC[id]);
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SKIN, SKIN_SPEC, SkinManager };
+} else {
+  window.SKIN = SKIN;
+  window.SKIN_SPEC = SKIN_SPEC;
+  window.SkinManager = SkinManager;
+}
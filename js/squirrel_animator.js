@@ -0,0 +1,255 @@
+/**
+ * 松鼠角色动画
+ * 一个跟随 GAME_STATE 切换的小状态机：待机时轻微呼吸，蓄力时按力度压扁，起跳拉长，空中翻一个跟头，
+ * 着陆时回弹晃动，掉落挥舞，失败时倒下。每个状态的姿态写成关键帧（缩放、旋转、抬升），
+ * 侧视图和等距视图用同一份姿态绘制同一张松鼠图片
+ */
+
+/* global CONFIG, GAME_STATE */
+
+// 游戏核心在浏览器中由 <script> 标签以全局变量提供，CommonJS 环境（微信小游戏、Node）下在此加载
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(typeof GameGlobal !== 'undefined' ? GameGlobal : global, require('./game_core.js'));
+}
+
+// 动画状态
+const ANIM_STATE = {
+  IDLE: 'idle',         // 站在平台上待机
+  CHARGING: 'charging', // 蓄力中（或站在弹簧上被压缩）
+  TAKEOFF: 'takeoff',   // 刚起跳
+  AIRBORNE: 'airborne', // 空中翻跟头
+  LANDING: 'landing',   // 刚着陆
+  FALLING: 'falling',   // 脚下平台缩小或塌落后掉下去
+  CRASHED: 'crashed',   // 撞到平台侧面
+  FAILED: 'failed'      // 掉到地上
+};
+
+/**
+ * 各状态的关键帧
+ *   driver     关键帧进度的来源：'time' 按进入状态后经过的时间（除以 duration），
+ *              'charge' 按蓄力力度（弹簧上按压缩进度），'flight' 按本次跳跃已飞行时间占预计滞空时间的比例
+ *   duration   driver 为 'time' 时一遍的时长（毫秒），之后切到 next 状态；loop 为 true 时循环播放
+ *   keys       关键帧 { at, scaleX, scaleY, rotation, lift }，at 为 0-1 的进度，缺省的属性取中性值；
+ *              缩放以脚底为锚点，旋转绕身体中心，lift 为向上抬起的距离（松鼠尺寸的倍数）
+ */
+const SQUIRREL_ANIMATIONS = {
+  [ANIM_STATE.IDLE]: {
+    driver: 'time',
+    duration: 1600,
+    loop: true,
+    keys: [
+      { at: 0 },
+      { at: 0.5, scaleX: 0.98, scaleY: 1.03 },
+      { at: 1 }
+    ]
+  },
+  [ANIM_STATE.CHARGING]: {
+    driver: 'charge',
+    keys: [
+      { at: 0 },
+      { at: 1, scaleX: 1.22, scaleY: 0.62 }
+    ]
+  },
+  [ANIM_STATE.TAKEOFF]: {
+    driver: 'time',
+    duration: 130,
+    next: ANIM_STATE.AIRBORNE,
+    keys: [
+      { at: 0, scaleX: 0.78, scaleY: 1.32 },
+      { at: 1, scaleX: 0.92, scaleY: 1.1 }
+    ]
+  },
+  [ANIM_STATE.AIRBORNE]: {
+    driver: 'flight',
+    keys: [
+      { at: 0, scaleX: 0.92, scaleY: 1.1 },
+      { at: 0.25, rotation: 0 },
+      { at: 0.8, rotation: Math.PI * 2 },
+      { at: 1, rotation: Math.PI * 2 }
+    ]
+  },
+  [ANIM_STATE.LANDING]: {
+    driver: 'time',
+    duration: 360,
+    next: ANIM_STATE.IDLE,
+    keys: [
+      { at: 0, scaleX: 1.25, scaleY: 0.72 },
+      { at: 0.3, scaleX: 0.9, scaleY: 1.12 },
+      { at: 0.6, scaleX: 1.05, scaleY: 0.95 },
+      { at: 1 }
+    ]
+  },
+  [ANIM_STATE.FALLING]: {
+    driver: 'time',
+    duration: 400,
+    loop: true,
+    keys: [
+      { at: 0, rotation: -0.35, scaleY: 1.08 },
+      { at: 0.5, rotation: 0.35, scaleY: 1.08 },
+      { at: 1, rotation: -0.35, scaleY: 1.08 }
+    ]
+  },
+  [ANIM_STATE.CRASHED]: {
+    driver: 'time',
+    duration: 300,
+    keys: [
+      { at: 0, scaleX: 0.6, scaleY: 1.15 },
+      { at: 0.4, scaleX: 0.7, scaleY: 1.1, rotation: -0.2 },
+      { at: 1, scaleX: 0.85, scaleY: 1, rotation: -0.5 }
+    ]
+  },
+  [ANIM_STATE.FAILED]: {
+    driver: 'time',
+    duration: 450,
+    keys: [
+      { at: 0, scaleX: 1.3, scaleY: 0.6 },
+      { at: 0.4, scaleX: 0.95, scaleY: 1.05, rotation: Math.PI / 4, lift: 0.1 },
+      { at: 1, scaleY: 0.9, rotation: Math.PI / 2 }
+    ]
+  }
+};
+
+// 关键帧属性的中性值
+const NEUTRAL_POSE = { scaleX: 1, scaleY: 1, rotation: 0, lift: 0 };
+
+class SquirrelAnimator {
+  /**
+   * @param {GameCore} core 动画跟随的游戏核心
+   */
+  constructor(core) {
+    this.core = core;
+    this.state = ANIM_STATE.IDLE;
+    this.elapsed = 0;          // 进入当前状态后经过的时间（毫秒）
+    this.flightTime = 0;       // 本次跳跃已经飞行的时间（毫秒）
+    this.flightDuration = 1;   // 本次跳跃预计的滞空时间（毫秒）
+  }
+
+  /**
+   * 新的一局或回放跳转后回到待机
+   */
+  reset() {
+    this.setState(ANIM_STATE.IDLE);
+  }
+
+  setState(state) {
+    this.state = state;
+    this.elapsed = 0;
+  }
+
+  /**
+   * 推进一个固定步长，与核心同步调用
+   */
+  update() {
+    if (this.core.gameState === GAME_STATE.PAUSED) return;
+
+    this.elapsed += CONFIG.FIXED_TIMESTEP;
+    this.flightTime += CONFIG.FIXED_TIMESTEP;
+
+    const next = this.getNextState();
+    if (next !== this.state) {
+      if (next === ANIM_STATE.TAKEOFF) {
+        this.startFlight();
+      }
+      this.setState(next);
+    }
+  }
+
+  /**
+   * 状态转换：由核心状态决定大类，再结合当前动画状态和它已播放的时间细分
+   */
+  getNextState() {
+    const core = this.core;
+    const player = core.player;
+    const state = this.state;
+    const spec = SQUIRREL_ANIMATIONS[state];
+    const finished = spec.driver === 'time' && !spec.loop && this.elapsed >= spec.duration;
+
+    switch (core.gameState) {
+    case GAME_STATE.GAME_OVER:
+      if (state === ANIM_STATE.CRASHED || state === ANIM_STATE.FAILED) return state;
+      return core.gameOverReason === 'side' ? ANIM_STATE.CRASHED : ANIM_STATE.FAILED;
+
+    case GAME_STATE.CHARGING:
+      return ANIM_STATE.CHARGING;
+
+    case GAME_STATE.JUMPING:
+      // 站在弹簧上等待弹射
+      if (!player.isJumping) return ANIM_STATE.CHARGING;
+      if (state === ANIM_STATE.TAKEOFF) return finished ? spec.next : state;
+      if (state === ANIM_STATE.AIRBORNE || state === ANIM_STATE.FALLING) return state;
+      // 向上离开平台是起跳，否则是脚下平台没了
+      return player.vy < 0 ? ANIM_STATE.TAKEOFF : ANIM_STATE.FALLING;
+
+    default:
+      if (state === ANIM_STATE.TAKEOFF || state === ANIM_STATE.AIRBORNE || state === ANIM_STATE.FALLING) {
+        return ANIM_STATE.LANDING;
+      }
+      if (state === ANIM_STATE.LANDING) return finished ? spec.next : state;
+      return ANIM_STATE.IDLE;
+    }
+  }
+
+  /**
+   * 起跳时按竖直初速度估计滞空时间，翻跟头的进度以此为准
+   */
+  startFlight() {
+    const vy = Math.abs(this.core.player.vy) + CONFIG.GRAVITY;
+    this.flightTime = 0;
+    this.flightDuration = ((2 * vy) / CONFIG.GRAVITY + 1) * CONFIG.FIXED_TIMESTEP;
+  }
+
+  /**
+   * 当前状态关键帧的进度（0-1）
+   * @param {number} alpha 距下一个模拟步的插值比例
+   */
+  getProgress(alpha) {
+    const spec = SQUIRREL_ANIMATIONS[this.state];
+    const core = this.core;
+
+    if (spec.driver === 'charge') {
+      const spring = core.pendingSpring;
+      return spring
+        ? 1 - spring.steps / CONFIG.SPRING_DELAY
+        : Math.min(core.chargePower / CONFIG.MAX_POWER, 1);
+    }
+    if (spec.driver === 'flight') {
+      return Math.min((this.flightTime + alpha * CONFIG.FIXED_TIMESTEP) / this.flightDuration, 1);
+    }
+
+    const progress = (this.elapsed + alpha * CONFIG.FIXED_TIMESTEP) / spec.duration;
+    return spec.loop ? progress % 1 : Math.min(progress, 1);
+  }
+
+  /**
+   * 当前姿态：在相邻两个关键帧之间平滑插值
+   * @returns {{ scaleX: number, scaleY: number, rotation: number, lift: number }}
+   */
+  getPose(alpha = 1) {
+    const keys = SQUIRREL_ANIMATIONS[this.state].keys;
+    const progress = this.getProgress(alpha);
+
+    let index = 0;
+    while (index < keys.length - 2 && progress > keys[index + 1].at) {
+      index++;
+    }
+    const from = Object.assign({}, NEUTRAL_POSE, keys[index]);
+    const to = Object.assign({}, NEUTRAL_POSE, keys[Math.min(index + 1, keys.length - 1)]);
+    const span = to.at - from.at;
+    const t = span > 0 ? Math.max(0, Math.min(1, (progress - from.at) / span)) : 1;
+    const eased = t * t * (3 - 2 * t);
+
+    const pose = {};
+    Object.keys(NEUTRAL_POSE).forEach(key => {
+      pose[key] = from[key] + (to[key] - from[key]) * eased;
+    });
+    return pose;
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ANIM_STATE, SquirrelAnimator };
+} else {
+  window.ANIM_STATE = ANIM_STATE;
+  window.SquirrelAnimator = SquirrelAnimator;
+}
@@ -0,0 +1,77 @@
+/**
+ * 本地持久化存储
+ * 微信小游戏使用 wx.setStorageSync，浏览器使用 localStorage，都不可用时退化为内存存储（只在本次运行有效）。
+ * 值统一以 JSON 保存，读写失败只打印警告，不影响游戏
+ */
+
+class GameStorage {
+  /**
+   * @param {Object} backend 提供 getItem(key)/setItem(key, value) 的存储后端，默认自动检测
+   */
+  constructor(backend = GameStorage.detectBackend()) {
+    this.backend = backend;
+  }
+
+  /**
+   * 检测当前环境可用的存储后端
+   */
+  static detectBackend() {
+    if (typeof wx !== 'undefined' && wx.getStorageSync) {
+      return {
+        getItem: key => wx.getStorageSync(key) || null,
+        setItem: (key, value) => wx.setStorageSync(key, value)
+      };
+    }
+
+    // 隐私模式下访问 localStorage 可能直接抛异常
+    try {
+      if (typeof localStorage !== 'undefined' && localStorage) {
+        return localStorage;
+      }
+    } catch (error) {
+      console.warn('localStorage 不可用，使用内存存储:', error);
+    }
+
+    const memory = {};
+    return {
+      getItem: key => (key in memory ? memory[key] : null),
+      setItem: (key, value) => {
+        memory[key] = value;
+      }
+    };
+  }
+
+  /**
+   * 读取数据，不存在或解析失败时返回默认值
+   */
+  get(key, fallback = null) {
+    try {
+      const raw = this.backend.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+      console.warn('读取存储失败:', key, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * 写入数据
+   * @returns {boolean} 是否写入成功
+   */
+  set(key, value) {
+    try {
+      this.backend.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.warn('写入存储失败:', key, error);
+      return false;
+    }
+  }
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GameStorage };
+} else {
+  window.GameStorage = GameStorage;
+}
@@ -0,0 +1,178 @@
+/**
+ * 画面主题
+ * 一个主题打包天空渐变、从远到近的背景图层、飘动的环境装饰、界面文字颜色和平台配色；
+ * 图层和平台装饰只写名字，具体画法在 jump_game.js 的 BACKGROUND_LAYER_RENDERERS 和 PLATFORM_DECORATION_RENDERERS 中，
+ * 新增主题只需在这里添加一项，新增图层再到渲染器里注册一个画法
+ */
+
+// 主题
+const THEME = {
+  FOREST: 'forest',
+  WINTER: 'winter',
+  DESERT: 'desert',
+  NIGHT: 'night'
+};
+
+// 自动模式：主题随本局分数变化
+const THEME_AUTO = 'auto';
+
+/**
+ * 主题目录
+ *   sky             侧视图天空渐变 [位置, 颜色]，自上而下
+ *   isometricSky    等距视图天空渐变（等距视图不画背景图层，颜色更浅以突出平台）
+ *   layers          背景图层，按从远到近的顺序绘制
+ *   overlay         游戏结束遮罩上方继续显示的图层
+ *   scenery         背景图层使用的颜色
+ *   hud             分数、提示等界面文字颜色
+ *   platform        平台配色：soil 主体、surface 顶面、logSurface 原木顶面、grain 木箱纹理、bark 树皮纹、
+ *                   cut 截面、rings 年轮、support 支撑柱、seam 支撑柱接缝
+ *   decoration      平台顶面的小装饰
+ *   dayCycle        是否参与昼夜循环（见 day_cycle.js），不参与的主题固定在正午的光照
+ */
+const THEME_SPEC = {
+  [THEME.FOREST]: {
+    name: '森林',
+    sky: [[0, '#87CEEB'], [0.3, '#98FB98'], [1, '#228B22']],
+    isometricSky: [[0, '#BFE6F5'], [1, '#E4F5D4']],
+    layers: ['clouds', 'trees', 'sun', 'butterflies', 'flowers', 'leaves', 'bubbles'],
+    overlay: 'bubbles',
+    scenery: {
+      cloud: 'rgba(255, 255, 255, 0.8)',
+      trunk: '#8B4513',
+      crown: '#228B22',
+      crownHighlight: '#32CD32',
+      sun: '#FFD700',
+      sunRays: 'rgba(255, 215, 0, 0.3)'
+    },
+    hud: { text: '#333', tip: '#666', daily: '#2c5530', acorns: '#8B5A2B' },
+    platform: {
+      soil: '#8B4513',
+      surface: '#556B2F',
+      logSurface: '#6B8E23',
+      grain: '#A0522D',
+      bark: '#6B3410',
+      cut: '#DEB887',
+      rings: '#A0522D',
+      support: '#7A3D10',
+      seam: '#5C2E0B'
+    },
+    decoration: 'forest',
+    dayCycle: true
+  },
+  [THEME.WINTER]: {
+    name: '雪原',
+    sky: [[0, '#B3CDE0'], [0.4, '#DCE8F2'], [1, '#F4F8FB']],
+    isometricSky: [[0, '#D6E4EF'], [1, '#F7FAFC']],
+    layers: ['clouds', 'pines', 'sun', 'snow'],
+    overlay: 'snow',
+    scenery: {
+      cloud: 'rgba(236, 242, 248, 0.9)',
+      trunk: '#5D4037',
+      crown: '#2E5E4E',
+      crownHighlight: '#FFFFFF',
+      sun: '#FFF3C4',
+      sunRays: 'rgba(255, 243, 196, 0.4)'
+    },
+    hud: { text: '#263238', tip: '#546E7A', daily: '#1E4A6B', acorns: '#6D4C41' },
+    platform: {
+      soil: '#6D4C41',
+      surface: '#F5F9FC',
+      logSurface: '#FFFFFF',
+      grain: '#8D6E63',
+      bark: '#4E342E',
+      cut: '#D7CCC8',
+      rings: '#A1887F',
+      support: '#5D4037',
+      seam: '#3E2723'
+    },
+    decoration: 'snow',
+    dayCycle: true
+  },
+  [THEME.DESERT]: {
+    name: '沙漠',
+    sky: [[0, '#F9D29D'], [0.45, '#F6E3B4'], [1, '#E0B46C']],
+    isometricSky: [[0, '#FBE3BE'], [1, '#F7EDD2']],
+    layers: ['sun', 'clouds', 'cacti', 'dust'],
+    overlay: 'dust',
+    scenery: {
+      cloud: 'rgba(255, 255, 255, 0.45)',
+      trunk: '#2E7D32',
+      crown: '#43A047',
+      crownHighlight: '#66BB6A',
+      sun: '#FFB300',
+      sunRays: 'rgba(255, 179, 0, 0.35)'
+    },
+    hud: { text: '#4E342E', tip: '#795548', daily: '#8D4B16', acorns: '#6D3B12' },
+    platform: {
+      soil: '#C2823A',
+      surface: '#E8C07A',
+      logSurface: '#EDC98A',
+      grain: '#D9A55B',
+      bark: '#A86B2D',
+      cut: '#F1D9A7',
+      rings: '#C99A5B',
+      support: '#B0722F',
+      seam: '#8F5A22'
+    },
+    decoration: 'sand',
+    dayCycle: true
+  },
+  [THEME.NIGHT]: {
+    name: '星夜',
+    sky: [[0, '#0B1026'], [0.5, '#1B2550'], [1, '#2B3A67']],
+    isometricSky: [[0, '#1A2145'], [1, '#34406E']],
+    layers: ['stars', 'moon', 'clouds', 'trees', 'fireflies'],
+    overlay: 'fireflies',
+    scenery: {
+      cloud: 'rgba(120, 130, 170, 0.35)',
+      trunk: '#15152A',
+      crown: '#1F2A44',
+      crownHighlight: '#27365A'
+    },
+    hud: { text: '#F0F0F0', tip: '#C5CAE9', daily: '#A5D6A7', acorns: '#D7A86E' },
+    platform: {
+      soil: '#4A2A14',
+      surface: '#2F4A2A',
+      logSurface: '#3C5A30',
+      grain: '#5E3A1E',
+      bark: '#3A200F',
+      cut: '#8C7A5B',
+      rings: '#5E4A33',
+      support: '#3F230F',
+      seam: '#2A170A'
+    },
+    decoration: 'glow',
+    dayCycle: false
+  }
+};
+
+// 自动模式下各主题开始出现的分数
+const THEME_PROGRESSION = [
+  { score: 0, theme: THEME.FOREST },
+  { score: 80, theme: THEME.WINTER },
+  { score: 180, theme: THEME.DESERT },
+  { score: 300, theme: THEME.NIGHT }
+];
+
+/**
+ * 自动模式下某个分数对应的主题
+ */
+function getThemeForScore(score) {
+  let theme = THEME_PROGRESSION[0].theme;
+  THEME_PROGRESSION.forEach(stage => {
+    if (score >= stage.score) {
+      theme = stage.theme;
+    }
+  });
+  return theme;
+}
+
+// 导出模块
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { THEME, THEME_AUTO, THEME_SPEC, getThemeForScore };
+} else {
+  window.THEME = THEME;
+  window.THEME_AUTO = THEME_AUTO;
+  window.THEME_SPEC = THEME_SPEC;
+  window.getThemeForScore = getThemeForScore;
+}
@@ -0,0 +1,175 @@
+/**
+ * 开放数据域：好友排行榜
+ * 在微信开放数据域中运行，通过 wx.onMessage 接收主域消息，读写好友托管数据并把排行榜画到 sharedCanvas 上。
+ * 排行逻辑写成 createRankingContext(wx, canvas)，浏览器页面用模拟的 wx 调用同一份代码开发调试
+ *
+ * 消息：
+ *   { type: 'submitScore', score }          分数高于已保存的最高分时写入托管数据
+ *   { type: 'showFriendRank' }              拉取好友数据并绘制排行榜
+ */
+
+/* global sharedCanvas */
+
+// 托管数据的键名，值使用微信排行榜约定的 { wxgame: { score, update_time } } 格式
+const RANK_KEY = 'score';
+const RANK_MAX_ROWS = 6;
+
+/**
+ * 解析托管数据中的分数
+ */
+function parseRankScore(kvDataList) {
+  const item = (kvDataList || []).find(kv => kv.key === RANK_KEY);
+  if (!item) return 0;
+  try {
+    const value = JSON.parse(item.value);
+    return (value.wxgame && value.wxgame.score) || 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * 创建排行榜上下文
+ * @param {Object} wx 微信 API（开放数据域中的 wx，或浏览器中的模拟对象）
+ * @param {Object} canvas 绘制排行榜的画布（sharedCanvas）
+ */
+function createRankingContext(wx, canvas) {
+  const avatars = {};  // 头像图片缓存
+
+  /**
+   * 提交分数：只保留最高分
+   */
+  function submitScore(score) {
+    wx.getUserCloudStorage({
+      keyList: [RANK_KEY],
+      success: (res) => {
+        if (score <= parseRankScore(res.KVDataList)) return;
+
+        wx.setUserCloudStorage({
+          KVDataList: [{
+            key: RANK_KEY,
+            value: JSON.stringify({ wxgame: { score, update_time: Math.floor(Date.now() / 1000) } })
+          }],
+          fail: (error) => console.warn('上传分数失败:', error)
+        });
+      },
+      fail: (error) => console.warn('读取分数失败:', error)
+    });
+  }
+
+  /**
+   * 拉取好友数据并绘制排行榜
+   */
+  function showFriendRank() {
+    drawPanel([], '加载中...');
+    wx.getFriendCloudStorage({
+      keyList: [RANK_KEY],
+      success: (res) => {
+        const ranking = (res.data || [])
+          .map(user => ({
+            nickname: user.nickname,
+            avatarUrl: user.avatarUrl,
+            score: parseRankScore(user.KVDataList)
+          }))
+          .filter(user => user.score > 0)
+          .sort((a, b) => b.score - a.score);
+        drawPanel(ranking, ranking.length ? '' : '还没有好友上榜');
+      },
+      fail: (error) => {
+        console.warn('获取好友排行失败:', error);
+        drawPanel([], '获取好友排行失败');
+      }
+    });
+  }
+
+  /**
+   * 绘制排行榜面板
+   */
+  function drawPanel(ranking, message) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const rowHeight = height / (RANK_MAX_ROWS + 2);
+    const fontSize = Math.round(rowHeight * 0.4);
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(44, 85, 48, 0.95)';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = '#FFD700';
+    ctx.font = `bold ${Math.round(fontSize * 1.3)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.fillText('🏆 好友排行', width / 2, rowHeight * 0.7);
+
+    if (message) {
+      ctx.fillStyle = 'white';
+      ctx.font = `${fontSize}px Arial`;
+      ctx.fillText(message, width / 2, height / 2);
+    }
+
+    ranking.slice(0, RANK_MAX_ROWS).forEach((user, i) => {
+      const y = rowHeight * (i + 1.2);
+      const centerY = y + rowHeight / 2;
+
+      // 名次
+      ctx.fillStyle = i < 3 ? '#FFD700' : 'white';
+      ctx.font = `bold ${fontSize}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.fillText(`${i + 1}`, width * 0.1, centerY + fontSize / 3);
+
+      // 头像
+      const avatar = loadAvatar(user.avatarUrl, () => drawPanel(ranking, message));
+      if (avatar) {
+        ctx.drawImage(avatar, width * 0.18, y + rowHeight * 0.15, rowHeight * 0.7, rowHeight * 0.7);
+      }
+
+      // 昵称和分数
+      ctx.fillStyle = 'white';
+      ctx.font = `${fontSize}px Arial`;
+      ctx.textAlign = 'left';
+      ctx.fillText(user.nickname, width * 0.18 + rowHeight * 0.85, centerY + fontSize / 3);
+      ctx.textAlign = 'right';
+      ctx.fillText(`${user.score}`, width * 0.92, centerY + fontSize / 3);
+    });
+
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * 加载头像，加载完成后重绘
+   */
+  function loadAvatar(url, onload) {
+    if (!url || !wx.createImage) return null;
+    if (!avatars[url]) {
+      const image = wx.createImage();
+      image.onload = onload;
+      image.src = url;
+      avatars[url] = image;
+    }
+    return avatars[url].complete !== false && avatars[url].width ? avatars[url] : null;
+  }
+
+  /**
+   * 处理主域消息
+   */
+  function handleMessage(message) {
+    if (!message) return;
+    if (message.type === 'submitScore') {
+      submitScore(message.score);
+    } else if (message.type === 'showFriendRank') {
+      showFriendRank();
+    }
+  }
+
+  return { handleMessage };
+}
+
+// 微信开放数据域：直接监听主域消息；其他环境导出给模拟实现使用
+if (typeof wx !== 'undefined' && typeof sharedCanvas !== 'undefined' && wx.onMessage) {
+  const rankingContext = createRankingContext(wx, sharedCanvas);
+  wx.onMessage(rankingContext.handleMessage);
+} else if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRankingContext, parseRankScore };
+} else {
+  window.createRankingContext = createRankingContext;
+}
@@ -0,0 +1,124 @@
+/**
+ * GameCore 着陆与计分测试
+ * 从固定种子开始，先用 predictJump() 找出能得到各种结果的蓄力时长，再用同样的时长真实起跳，检查着陆判定和得分
+ * 运行：node test/game_core.test.js
+ */
+
+const assert = require('assert');
+const { CONFIG, GAME_STATE, GameCore } = require('../js/game_core.js');
+
+const SEED = 12345;
+const MAX_CHARGE_TIME = 2000;  // 搜索的最长蓄力时长（毫秒）
+
+/**
+ * 从固定种子开始的新一局
+ */
+function createCore() {
+  const core = new GameCore({ viewWidth: 800, viewHeight: 450 });
+  core.reset(SEED);
+  return core;
+}
+
+/**
+ * 按 1 毫秒的间隔搜索第一个预测结果满足 match 的蓄力时长
+ * @param {Function} match (contact, core) 判断 predictJump() 的接触结果
+ * @returns {number} 蓄力时长（毫秒）
+ */
+function findChargeDuration(core, match) {
+  for (let duration = 0; duration <= MAX_CHARGE_TIME; duration++) {
+    const { contact } = core.predictJump(core.getChargePower(duration));
+    if (contact && match(contact, core)) return duration;
+  }
+  throw new Error('没有找到满足条件的蓄力时长');
+}
+
+/**
+ * 玩家位置 x 与平台中心的距离
+ */
+function distanceToCenter(x, platform) {
+  return Math.abs(x + CONFIG.PLAYER_SIZE / 2 - platform.getCenterX());
+}
+
+/**
+ * 以指定蓄力时长起跳，推进到落地或结束
+ * @returns {Array} 本跳派发的 land 事件
+ */
+function jumpWith(core, duration) {
+  const landings = [];
+  const unsubscribe = core.on('land', event => landings.push(event));
+  core.startCharge();
+  core.releaseWithDuration(duration);
+  for (let i = 0; i < 600 && core.gameState === GAME_STATE.JUMPING; i++) {
+    core.step();
+  }
+  unsubscribe();
+  return landings;
+}
+
+const isNextPlatform = (contact, core) => contact.type === 'land' && contact.platform === core.platforms[1];
+
+const tests = {
+  '完美着陆：连击加一，得分为 2 + 连击数'() {
+    const core = createCore();
+    const duration = findChargeDuration(core, (contact, c) =>
+      isNextPlatform(contact, c) && distanceToCenter(contact.contactX, contact.platform) <= contact.platform.getPerfectTolerance());
+
+    const landings = jumpWith(core, duration);
+    assert.strictEqual(core.gameState, GAME_STATE.START);
+    assert.strictEqual(core.currentPlatform, core.platforms[1]);
+    assert.strictEqual(landings.length, 1);
+    assert.ok(distanceToCenter(core.player.x, core.platforms[1]) <= core.platforms[1].getPerfectTolerance());
+    assert.strictEqual(landings[0].perfect, true);
+    assert.strictEqual(core.combo, 1);
+    assert.strictEqual(core.score, 3);
+  },
+
+  '普通着陆：连击清零，得 1 分'() {
+    const core = createCore();
+    core.combo = 2;
+    const duration = findChargeDuration(core, (contact, c) =>
+      isNextPlatform(contact, c) && distanceToCenter(contact.contactX, contact.platform) > contact.platform.getPerfectTolerance());
+
+    const landings = jumpWith(core, duration);
+    assert.strictEqual(core.gameState, GAME_STATE.START);
+    assert.strictEqual(core.currentPlatform, core.platforms[1]);
+    assert.ok(distanceToCenter(core.player.x, core.platforms[1]) > core.platforms[1].getPerfectTolerance());
+    assert.strictEqual(landings[0].perfect, false);
+    assert.strictEqual(core.combo, 0);
+    assert.strictEqual(core.score, 1);
+  },
+
+  '撞到平台侧面：游戏结束，原因为 side'() {
+    const core = createCore();
+    const duration = findChargeDuration(core, contact => contact.type === 'side');
+
+    const landings = jumpWith(core, duration);
+    assert.strictEqual(landings.length, 0);
+    assert.strictEqual(core.gameState, GAME_STATE.GAME_OVER);
+    assert.strictEqual(core.gameOverReason, 'side');
+    assert.strictEqual(core.score, 0);
+  },
+
+  '没跳上平台：掉到地面，原因为 fall'() {
+    const core = createCore();
+    const duration = findChargeDuration(core, contact => contact.type === 'fall');
+
+    const landings = jumpWith(core, duration);
+    assert.strictEqual(landings.length, 0);
+    assert.strictEqual(core.gameState, GAME_STATE.GAME_OVER);
+    assert.strictEqual(core.gameOverReason, 'fall');
+    assert.strictEqual(core.score, 0);
+  }
+};
+
+let failed = 0;
+Object.keys(tests).forEach(name => {
+  try {
+    tests[name]();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`✗ ${name}\n  ${error.message}`);
+  }
+});
+process.exitCode = failed > 0 ? 1 : 0;